@@ -1,25 +1,45 @@
 /**
  * celestial body data from https://en.wikipedia.org/wiki/List_of_gravitationally_rounded_objects_of_the_Solar_System
+ * planet and Pluto orbital elements at J2000 from https://ssd.jpl.nasa.gov/planets/approx_pos.html,
+ * elements for the other dwarf planets are approximate
  * @param {string} id - unique id as a lowercase string
+ * @param {string} type - 'star', 'planet', 'dwarf' or 'moon'
  * @param {string} name - display name
- * @param {string} parent - parent body id, what it orbits
- * @param {number} distKm - mean distance from Sun, km
+ * @param {string} parent - parent body id, what it orbits; parents are listed before their moons
+ * @param {number} distKm - mean distance from the parent body, km
  * @param {number} radiusKm - body radius, km
  * @param {number} rotationDays - rotation period in Earth days, negative = retrograde
  * @param {number|null} orbitalDays - orbital period in Earth days
  * @param {number|null} orbitalSpeedKmS - orbital speed in km/s
  * @param {number|null} eccentricity - orbital eccentricity
  * @param {number|null} inclinationDeg - orbital inclination to ecliptic in degrees
+ * @param {number|null} ascendingNodeDeg - longitude of the ascending node in degrees, J2000 ecliptic
+ * @param {number|null} perihelionArgDeg - argument of perihelion (periapsis for moons) in degrees
+ * @param {number|null} meanAnomalyDeg - mean anomaly at epoch J2000.0 in degrees
  * @param {number|null} axialTiltDeg - axial tilt in degrees
  * @param {number|null} ringInnerKm - inner ring radius in km, or null
  * @param {number|null} ringOuterKm - outer ring radius in km, or null
- * @param {string} texture - path to texture image file
+ * @param {string|null} ringTexture - path to the ring texture image file, or null
+ * @param {string|null} texture - path to texture image file, the full-resolution level, or null to draw the
+ * procedural map or placeholder without requesting a file
+ * @param {Object|null} textureLevels - lower-resolution copies of the texture keyed by image width,
+ * the smallest is loaded at startup and larger ones stream in as the body grows on screen
+ * @param {string} color - representative surface color, tints the placeholder shown when the texture can't be loaded
+ * @param {Object|null} atmosphere - { color, thickness } of the atmosphere glow, thickness as a fraction of the radius, or null
+ * @param {Object|null} maps - extra surface map paths, or null; night (city lights), clouds and specular (ocean mask)
+ * switch the body to the day/night surface; normal, bump, displacement, roughness and emissive fill the matching
+ * material maps, with optional normalScale, bumpScale and displacementScale (in body radii); bump and
+ * displacement maps are height data, not the albedo texture
+ * @param {Object|null} procedural - parameters for a generated map drawn when the texture file is missing, or null
+ * for the plain placeholder; style is 'bands' (gas giants: bands, turbulence), 'craters' (rocky bodies: craters)
+ * or 'ice' (icy bodies: patches, lineae), each with a seed and a contrast
  */
 
 export const BODIES = [
     // star (sun)
     {
         id: 'sun',
+        type: 'star',
         name: 'Sun',
         parent: null,
         distKm: 0,
@@ -29,15 +49,28 @@ export const BODIES = [
         orbitalSpeedKmS: null,
         eccentricity: null,
         inclinationDeg: null,
+        ascendingNodeDeg: null,
+        perihelionArgDeg: null,
+        meanAnomalyDeg: null,
         axialTiltDeg: 7.25,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/sun.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/sun.jpg',
+            2048: 'assets/maps/2k/sun.jpg',
+        },
+        color: '#ffcc66',
+        atmosphere: null,
+        maps: null,
+        procedural: null,
     },
 
     // planets
     {
         id: 'mercury',
+        type: 'planet',
         name: 'Mercury',
         parent: 'sun',
         distKm: 57909175,
@@ -47,13 +80,26 @@ export const BODIES = [
         orbitalSpeedKmS: 47.8725,
         eccentricity: 0.20563069,
         inclinationDeg: 7.00,
+        ascendingNodeDeg: 48.33076593,
+        perihelionArgDeg: 29.12703035,
+        meanAnomalyDeg: 174.79252722,
         axialTiltDeg: 0.0,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/mercury.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/mercury.jpg',
+            2048: 'assets/maps/2k/mercury.jpg',
+        },
+        color: '#8c8680',
+        atmosphere: null,
+        maps: null,
+        procedural: null,
     },
     {
         id: 'venus',
+        type: 'planet',
         name: 'Venus',
         parent: 'sun',
         distKm: 108208930,
@@ -63,13 +109,29 @@ export const BODIES = [
         orbitalSpeedKmS: 35.0214,
         eccentricity: 0.00677323,
         inclinationDeg: 3.39,
+        ascendingNodeDeg: 76.67984255,
+        perihelionArgDeg: 54.92262463,
+        meanAnomalyDeg: 50.37663232,
         axialTiltDeg: 177.3,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/venus.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/venus.jpg',
+            2048: 'assets/maps/2k/venus.jpg',
+        },
+        color: '#e3c08c',
+        atmosphere: {
+            color: '#f5deb0',
+            thickness: 0.05,
+        },
+        maps: null,
+        procedural: null,
     },
     {
         id: 'earth',
+        type: 'planet',
         name: 'Earth',
         parent: 'sun',
         distKm: 149597890,
@@ -79,13 +141,33 @@ export const BODIES = [
         orbitalSpeedKmS: 29.7859,
         eccentricity: 0.01671022,
         inclinationDeg: 0,
+        ascendingNodeDeg: 0,
+        perihelionArgDeg: 102.93768193,
+        meanAnomalyDeg: 357.52688973,
         axialTiltDeg: 23.44,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/earth.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/earth.jpg',
+            2048: 'assets/maps/2k/earth.jpg',
+        },
+        color: '#4a76a8',
+        atmosphere: {
+            color: '#6fa8ff',
+            thickness: 0.03,
+        },
+        maps: {
+            night: 'assets/maps/earthNight.jpg',
+            clouds: 'assets/maps/earthClouds.jpg',
+            specular: 'assets/maps/earthSpecular.jpg',
+        },
+        procedural: null,
     },
     {
         id: 'mars',
+        type: 'planet',
         name: 'Mars',
         parent: 'sun',
         distKm: 227936640,
@@ -95,13 +177,29 @@ export const BODIES = [
         orbitalSpeedKmS: 24.1309,
         eccentricity: 0.09341233,
         inclinationDeg: 1.85,
+        ascendingNodeDeg: 49.55953891,
+        perihelionArgDeg: 286.4968315,
+        meanAnomalyDeg: 19.39019754,
         axialTiltDeg: 25.19,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/mars.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/mars.jpg',
+            2048: 'assets/maps/2k/mars.jpg',
+        },
+        color: '#c1633c',
+        atmosphere: {
+            color: '#e0a07a',
+            thickness: 0.015,
+        },
+        maps: null,
+        procedural: null,
     },
     {
         id: 'jupiter',
+        type: 'planet',
         name: 'Jupiter',
         parent: 'sun',
         distKm: 778412010,
@@ -111,13 +209,29 @@ export const BODIES = [
         orbitalSpeedKmS: 13.0697,
         eccentricity: 0.04839266,
         inclinationDeg: 1.31,
+        ascendingNodeDeg: 100.47390909,
+        perihelionArgDeg: 274.25457074,
+        meanAnomalyDeg: 19.66796068,
         axialTiltDeg: 3.12,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/jupiter.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/jupiter.jpg',
+            2048: 'assets/maps/2k/jupiter.jpg',
+        },
+        color: '#c9a77c',
+        atmosphere: {
+            color: '#f0dcc0',
+            thickness: 0.02,
+        },
+        maps: null,
+        procedural: null,
     },
     {
         id: 'saturn',
+        type: 'planet',
         name: 'Saturn',
         parent: 'sun',
         distKm: 1426725400,
@@ -127,13 +241,29 @@ export const BODIES = [
         orbitalSpeedKmS: 9.6724,
         eccentricity: 0.05415060,
         inclinationDeg: 2.48,
+        ascendingNodeDeg: 113.66242448,
+        perihelionArgDeg: 338.93645383,
+        meanAnomalyDeg: 317.35536592,
         axialTiltDeg: 26.73,
         ringInnerKm: 74500,
         ringOuterKm: 140220,
+        ringTexture: null,
         texture: 'assets/maps/saturn.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/saturn.jpg',
+            2048: 'assets/maps/2k/saturn.jpg',
+        },
+        color: '#e0c98f',
+        atmosphere: {
+            color: '#f2e2b8',
+            thickness: 0.02,
+        },
+        maps: null,
+        procedural: null,
     },
     {
         id: 'uranus',
+        type: 'planet',
         name: 'Uranus',
         parent: 'sun',
         distKm: 2870972200,
@@ -143,13 +273,29 @@ export const BODIES = [
         orbitalSpeedKmS: 6.8352,
         eccentricity: 0.04716771,
         inclinationDeg: 0.76,
+        ascendingNodeDeg: 74.01692503,
+        perihelionArgDeg: 96.93735127,
+        meanAnomalyDeg: 142.28382821,
         axialTiltDeg: 97.86,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/uranus.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/uranus.jpg',
+            2048: 'assets/maps/2k/uranus.jpg',
+        },
+        color: '#9fd8dd',
+        atmosphere: {
+            color: '#a8ecf2',
+            thickness: 0.03,
+        },
+        maps: null,
+        procedural: null,
     },
     {
         id: 'neptune',
+        type: 'planet',
         name: 'Neptune',
         parent: 'sun',
         distKm: 4498252900,
@@ -159,15 +305,34 @@ export const BODIES = [
         orbitalSpeedKmS: 5.4778,
         eccentricity: 0.00858587,
         inclinationDeg: 1.77,
+        ascendingNodeDeg: 131.78422574,
+        perihelionArgDeg: 273.18053653,
+        meanAnomalyDeg: 259.91520804,
         axialTiltDeg: 28.32,
         ringInnerKm: null,
         ringOuterKm: null,
-        texture: 'assets/maps/neptune.jpg',
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#4a6fd0',
+        atmosphere: {
+            color: '#7f9dff',
+            thickness: 0.03,
+        },
+        maps: null,
+        procedural: {
+            style: 'bands',
+            seed: 8,
+            bands: 7,
+            turbulence: 0.6,
+            contrast: 0.18,
+        },
     },
 
     // dwarf planets
     {
         id: 'ceres',
+        type: 'dwarf',
         name: 'Ceres',
         parent: 'sun',
         distKm: 413700000,
@@ -177,13 +342,28 @@ export const BODIES = [
         orbitalSpeedKmS: 17.882,
         eccentricity: 0.080,
         inclinationDeg: 10.59,
+        ascendingNodeDeg: 80.33,
+        perihelionArgDeg: 73.6,
+        meanAnomalyDeg: 6.08,
         axialTiltDeg: 4,
         ringInnerKm: null,
         ringOuterKm: null,
-        texture: 'assets/maps/ceres.jpg',
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#8a8580',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'craters',
+            seed: 9,
+            craters: 400,
+            contrast: 0.3,
+        },
     },
     {
         id: 'pluto',
+        type: 'dwarf',
         name: 'Pluto',
         parent: 'sun',
         distKm: 5906380000,
@@ -193,13 +373,28 @@ export const BODIES = [
         orbitalSpeedKmS: 4.75,
         eccentricity: 0.249,
         inclinationDeg: 17.14,
+        ascendingNodeDeg: 110.30393684,
+        perihelionArgDeg: 113.76497945,
+        meanAnomalyDeg: 14.86012204,
         axialTiltDeg: 119.6,
         ringInnerKm: null,
         ringOuterKm: null,
-        texture: 'assets/maps/pluto.jpg',
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#c9ad92',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'ice',
+            seed: 10,
+            patches: 3,
+            contrast: 0.45,
+        },
     },
     {
         id: 'haumea',
+        type: 'dwarf',
         name: 'Haumea',
         parent: 'sun',
         distKm: 6484000000,
@@ -209,13 +404,26 @@ export const BODIES = [
         orbitalSpeedKmS: 4.48,
         eccentricity: 0.195,
         inclinationDeg: 28.21,
+        ascendingNodeDeg: 122.1,
+        perihelionArgDeg: 239.0,
+        meanAnomalyDeg: 191.0,
         axialTiltDeg: 126,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/haumea.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/haumea.jpg',
+            2048: 'assets/maps/2k/haumea.jpg',
+        },
+        color: '#d8d4d0',
+        atmosphere: null,
+        maps: null,
+        procedural: null,
     },
     {
         id: 'makemake',
+        type: 'dwarf',
         name: 'Makemake',
         parent: 'sun',
         distKm: 6850000000,
@@ -225,13 +433,26 @@ export const BODIES = [
         orbitalSpeedKmS: 4.40,
         eccentricity: 0.161,
         inclinationDeg: 28.98,
+        ascendingNodeDeg: 79.62,
+        perihelionArgDeg: 294.8,
+        meanAnomalyDeg: 141.0,
         axialTiltDeg: null,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/makemake.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/makemake.jpg',
+            2048: 'assets/maps/2k/makemake.jpg',
+        },
+        color: '#c8906a',
+        atmosphere: null,
+        maps: null,
+        procedural: null,
     },
     {
         id: 'eris',
+        type: 'dwarf',
         name: 'Eris',
         parent: 'sun',
         distKm: 10210000000,
@@ -241,9 +462,279 @@ export const BODIES = [
         orbitalSpeedKmS: 3.44,
         eccentricity: 0.436,
         inclinationDeg: 44.04,
+        ascendingNodeDeg: 35.95,
+        perihelionArgDeg: 151.6,
+        meanAnomalyDeg: 195.0,
         axialTiltDeg: 78,
         ringInnerKm: null,
         ringOuterKm: null,
+        ringTexture: null,
         texture: 'assets/maps/eris.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/eris.jpg',
+            2048: 'assets/maps/2k/eris.jpg',
+        },
+        color: '#e6e2de',
+        atmosphere: null,
+        maps: null,
+        procedural: null,
+    },
+
+    // moons, orbital elements are approximate and referred to the ecliptic
+    {
+        id: 'moon',
+        type: 'moon',
+        name: 'Moon',
+        parent: 'earth',
+        distKm: 384399,
+        radiusKm: 1737.4,
+        rotationDays: 27.321661,
+        orbitalDays: 27.321661,
+        orbitalSpeedKmS: 1.022,
+        eccentricity: 0.0549,
+        inclinationDeg: 5.145,
+        ascendingNodeDeg: 125.08,
+        perihelionArgDeg: 318.15,
+        meanAnomalyDeg: 135.27,
+        axialTiltDeg: 6.68,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: 'assets/maps/moon.jpg',
+        textureLevels: {
+            512: 'assets/maps/512/moon.jpg',
+            2048: 'assets/maps/2k/moon.jpg',
+        },
+        color: '#9a9893',
+        atmosphere: null,
+        maps: {
+            bump: 'assets/maps/moonBump.jpg',
+            bumpScale: 2,
+        },
+        procedural: null,
+    },
+    {
+        id: 'io',
+        type: 'moon',
+        name: 'Io',
+        parent: 'jupiter',
+        distKm: 421700,
+        radiusKm: 1821.6,
+        rotationDays: 1.769137786,
+        orbitalDays: 1.769137786,
+        orbitalSpeedKmS: 17.334,
+        eccentricity: 0.0041,
+        inclinationDeg: 2.21,
+        ascendingNodeDeg: 337.0,
+        perihelionArgDeg: 0,
+        meanAnomalyDeg: 129.08,
+        axialTiltDeg: 0,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#d8c45a',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'ice',
+            seed: 11,
+            patches: 10,
+            contrast: 0.35,
+        },
+    },
+    {
+        id: 'europa',
+        type: 'moon',
+        name: 'Europa',
+        parent: 'jupiter',
+        distKm: 671034,
+        radiusKm: 1560.8,
+        rotationDays: 3.551181,
+        orbitalDays: 3.551181,
+        orbitalSpeedKmS: 13.74,
+        eccentricity: 0.009,
+        inclinationDeg: 1.79,
+        ascendingNodeDeg: 337.0,
+        perihelionArgDeg: 0,
+        meanAnomalyDeg: 198.73,
+        axialTiltDeg: 0.1,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#c8b9a0',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'ice',
+            seed: 12,
+            patches: 5,
+            lineae: 40,
+            contrast: 0.2,
+        },
+    },
+    {
+        id: 'ganymede',
+        type: 'moon',
+        name: 'Ganymede',
+        parent: 'jupiter',
+        distKm: 1070412,
+        radiusKm: 2634.1,
+        rotationDays: 7.15455296,
+        orbitalDays: 7.15455296,
+        orbitalSpeedKmS: 10.88,
+        eccentricity: 0.0013,
+        inclinationDeg: 2.21,
+        ascendingNodeDeg: 337.0,
+        perihelionArgDeg: 0,
+        meanAnomalyDeg: 143.56,
+        axialTiltDeg: 0.33,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#8f877c',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'ice',
+            seed: 13,
+            patches: 6,
+            lineae: 12,
+            contrast: 0.3,
+        },
+    },
+    {
+        id: 'callisto',
+        type: 'moon',
+        name: 'Callisto',
+        parent: 'jupiter',
+        distKm: 1882709,
+        radiusKm: 2410.3,
+        rotationDays: 16.6890184,
+        orbitalDays: 16.6890184,
+        orbitalSpeedKmS: 8.204,
+        eccentricity: 0.0074,
+        inclinationDeg: 2.02,
+        ascendingNodeDeg: 337.0,
+        perihelionArgDeg: 0,
+        meanAnomalyDeg: 107.44,
+        axialTiltDeg: 0,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#6d6258',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'craters',
+            seed: 14,
+            craters: 700,
+            contrast: 0.35,
+        },
+    },
+    {
+        id: 'titan',
+        type: 'moon',
+        name: 'Titan',
+        parent: 'saturn',
+        distKm: 1221870,
+        radiusKm: 2574.73,
+        rotationDays: 15.945,
+        orbitalDays: 15.945,
+        orbitalSpeedKmS: 5.57,
+        eccentricity: 0.0288,
+        inclinationDeg: 27.9,
+        ascendingNodeDeg: 169.5,
+        perihelionArgDeg: 186.6,
+        meanAnomalyDeg: 163.3,
+        axialTiltDeg: 0.3,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#d6a64c',
+        atmosphere: {
+            color: '#e8b060',
+            thickness: 0.08,
+        },
+        maps: null,
+        procedural: {
+            style: 'bands',
+            seed: 15,
+            bands: 3,
+            turbulence: 0.3,
+            contrast: 0.06,
+        },
+    },
+    {
+        id: 'triton',
+        type: 'moon',
+        name: 'Triton',
+        parent: 'neptune',
+        distKm: 354759,
+        radiusKm: 1353.4,
+        rotationDays: -5.876854,
+        orbitalDays: 5.876854,
+        orbitalSpeedKmS: 4.39,
+        eccentricity: 1.6e-05,
+        inclinationDeg: 129.6,
+        ascendingNodeDeg: 177.7,
+        perihelionArgDeg: 344.0,
+        meanAnomalyDeg: 264.8,
+        axialTiltDeg: 0,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#cdbfb6',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'ice',
+            seed: 16,
+            patches: 4,
+            lineae: 6,
+            contrast: 0.3,
+        },
+    },
+    {
+        id: 'charon',
+        type: 'moon',
+        name: 'Charon',
+        parent: 'pluto',
+        distKm: 19591,
+        radiusKm: 606,
+        rotationDays: 6.3872,
+        orbitalDays: 6.3872,
+        orbitalSpeedKmS: 0.21,
+        eccentricity: 0.0002,
+        inclinationDeg: 112.9,
+        ascendingNodeDeg: 223.05,
+        perihelionArgDeg: 146.1,
+        meanAnomalyDeg: 131.2,
+        axialTiltDeg: 0,
+        ringInnerKm: null,
+        ringOuterKm: null,
+        ringTexture: null,
+        texture: null,
+        textureLevels: null,
+        color: '#8c8580',
+        atmosphere: null,
+        maps: null,
+        procedural: {
+            style: 'craters',
+            seed: 17,
+            craters: 150,
+            contrast: 0.25,
+        },
     },
 ];
@@ -0,0 +1,47 @@
+/**
+ * scroll-driven camera keyframes, in scroll order
+ * sections that name a body with a data-body attribute take over the camera while in view,
+ * so this path mostly shapes the transitions between them
+ * @param {number} scroll - scroll offset in pixels where this keyframe is reached, or
+ * @param {string} section - selector of a page element; the keyframe is reached when its top crosses the middle of the viewport
+ * @param {string|null} body - body id the keyframe is attached to, or null for fixed scene coordinates
+ * @param {number[]} position - camera position; in body radii relative to the body when body is set, AU from the Sun otherwise
+ * @param {number[]} lookAt - point the camera looks at, in the same units as position;
+ * free points are remapped along their direction from the Sun by the active scale model
+ * @param {number} fov - vertical field of view in degrees
+ */
+
+export const CAMERA_KEYFRAMES = [
+    // opening view, just in front of the Sun
+    {
+        scroll: 0,
+        body: null,
+        position: [0, 0, 0.167],
+        lookAt: [0, 0, 0],
+        fov: 75,
+    },
+    // over the inner planets
+    {
+        section: '#education',
+        body: null,
+        position: [0, 0.668, 2.005],
+        lookAt: [0, 0, 0],
+        fov: 70,
+    },
+    // out past the gas giants
+    {
+        section: '#projects',
+        body: null,
+        position: [0, 2.507, 11.699],
+        lookAt: [0, -1.671, 0],
+        fov: 75,
+    },
+    // pulled back over the whole system
+    {
+        section: '#contact',
+        body: null,
+        position: [0, 5.013, 25.068],
+        lookAt: [0, -4.144, 0],
+        fov: 75,
+    },
+];
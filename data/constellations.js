@@ -0,0 +1,291 @@
+/**
+ * constellation stick figures after the IAU charts, https://www.iau.org/public/themes/constellations/
+ * simplified to the stars in data/stars.js
+ * @param {string} id - IAU three-letter abbreviation, lowercase
+ * @param {string} name - display name
+ * @param {Array} lines - polylines, each a list of star names from data/stars.js joined in order
+ */
+
+export const CONSTELLATIONS = [
+    {
+        id: 'ori',
+        name: 'Orion',
+        lines: [
+            ['Meissa', 'Betelgeuse', 'Alnitak', 'Alnilam', 'Mintaka', 'Bellatrix', 'Meissa'],
+            ['Betelgeuse', 'Bellatrix'],
+            ['Alnitak', 'Saiph'],
+            ['Mintaka', 'Rigel'],
+        ],
+    },
+    {
+        id: 'cma',
+        name: 'Canis Major',
+        lines: [
+            ['Mirzam', 'Sirius', 'Wezen', 'Adhara', 'Furud'],
+            ['Wezen', 'Aludra'],
+        ],
+    },
+    {
+        id: 'cmi',
+        name: 'Canis Minor',
+        lines: [
+            ['Procyon', 'Gomeisa'],
+        ],
+    },
+    {
+        id: 'gem',
+        name: 'Gemini',
+        lines: [
+            ['Castor', 'Mebsuta', 'Tejat', 'Propus'],
+            ['Pollux', 'Wasat', 'Mekbuda', 'Alhena'],
+            ['Wasat', 'Alzirr'],
+            ['Castor', 'Pollux'],
+        ],
+    },
+    {
+        id: 'tau',
+        name: 'Taurus',
+        lines: [
+            ['Elnath', 'Ain', 'Secunda Hyadum', 'Prima Hyadum', 'Lambda Tauri'],
+            ['Tianguan', 'Aldebaran', 'Chamukuy', 'Prima Hyadum'],
+        ],
+    },
+    {
+        id: 'aur',
+        name: 'Auriga',
+        lines: [
+            ['Capella', 'Menkalinan', 'Mahasim', 'Elnath', 'Hassaleh', 'Haedus', 'Capella'],
+            ['Capella', 'Almaaz'],
+        ],
+    },
+    {
+        id: 'per',
+        name: 'Perseus',
+        lines: [
+            ['Gamma Persei', 'Mirfak', 'Delta Persei', 'Epsilon Persei', 'Atik'],
+            ['Mirfak', 'Algol'],
+        ],
+    },
+    {
+        id: 'cas',
+        name: 'Cassiopeia',
+        lines: [
+            ['Caph', 'Schedar', 'Gamma Cassiopeiae', 'Ruchbah', 'Segin'],
+        ],
+    },
+    {
+        id: 'and',
+        name: 'Andromeda',
+        lines: [
+            ['Alpheratz', 'Delta Andromedae', 'Mirach', 'Almach'],
+        ],
+    },
+    {
+        id: 'peg',
+        name: 'Pegasus',
+        lines: [
+            ['Alpheratz', 'Scheat', 'Markab', 'Algenib', 'Alpheratz'],
+            ['Markab', 'Homam', 'Biham', 'Enif'],
+            ['Scheat', 'Matar'],
+        ],
+    },
+    {
+        id: 'uma',
+        name: 'Ursa Major',
+        lines: [
+            ['Alkaid', 'Mizar', 'Alioth', 'Megrez', 'Dubhe', 'Merak', 'Phecda', 'Megrez'],
+        ],
+    },
+    {
+        id: 'umi',
+        name: 'Ursa Minor',
+        lines: [
+            ['Polaris', 'Yildun', 'Epsilon Ursae Minoris', 'Zeta Ursae Minoris', 'Kochab', 'Pherkad', 'Eta Ursae Minoris', 'Zeta Ursae Minoris'],
+        ],
+    },
+    {
+        id: 'dra',
+        name: 'Draco',
+        lines: [
+            ['Rastaban', 'Eltanin', 'Grumium', 'Rastaban'],
+            ['Grumium', 'Altais', 'Aldhibah', 'Athebyne', 'Thuban'],
+        ],
+    },
+    {
+        id: 'cep',
+        name: 'Cepheus',
+        lines: [
+            ['Alderamin', 'Alfirk', 'Errai', 'Iota Cephei', 'Zeta Cephei', 'Alderamin'],
+            ['Alfirk', 'Iota Cephei'],
+        ],
+    },
+    {
+        id: 'lyr',
+        name: 'Lyra',
+        lines: [
+            ['Vega', 'Epsilon Lyrae', 'Zeta Lyrae', 'Vega'],
+            ['Zeta Lyrae', 'Sheliak', 'Sulafat', 'Delta Lyrae', 'Zeta Lyrae'],
+        ],
+    },
+    {
+        id: 'cyg',
+        name: 'Cygnus',
+        lines: [
+            ['Deneb', 'Sadr', 'Albireo'],
+            ['Fawaris', 'Sadr', 'Aljanah', 'Zeta Cygni'],
+        ],
+    },
+    {
+        id: 'aql',
+        name: 'Aquila',
+        lines: [
+            ['Tarazed', 'Altair', 'Alshain'],
+            ['Altair', 'Delta Aquilae', 'Lambda Aquilae'],
+            ['Delta Aquilae', 'Okab'],
+            ['Delta Aquilae', 'Theta Aquilae'],
+        ],
+    },
+    {
+        id: 'her',
+        name: 'Hercules',
+        lines: [
+            ['Epsilon Herculis', 'Zeta Herculis', 'Eta Herculis', 'Pi Herculis', 'Epsilon Herculis'],
+            ['Zeta Herculis', 'Kornephoros', 'Rasalgethi'],
+            ['Epsilon Herculis', 'Sarin'],
+        ],
+    },
+    {
+        id: 'oph',
+        name: 'Ophiuchus',
+        lines: [
+            ['Rasalhague', 'Kappa Ophiuchi', 'Yed Prior', 'Zeta Ophiuchi', 'Sabik', 'Cebalrai', 'Rasalhague'],
+        ],
+    },
+    {
+        id: 'boo',
+        name: 'Boötes',
+        lines: [
+            ['Arcturus', 'Izar', 'Delta Bootis', 'Nekkar', 'Seginus', 'Rho Bootis', 'Arcturus'],
+            ['Arcturus', 'Muphrid'],
+        ],
+    },
+    {
+        id: 'crb',
+        name: 'Corona Borealis',
+        lines: [
+            ['Theta Coronae Borealis', 'Nusakan', 'Alphecca', 'Gamma Coronae Borealis', 'Delta Coronae Borealis', 'Epsilon Coronae Borealis'],
+        ],
+    },
+    {
+        id: 'leo',
+        name: 'Leo',
+        lines: [
+            ['Regulus', 'Eta Leonis', 'Algieba', 'Adhafera', 'Rasalas', 'Ras Elased Australis'],
+            ['Regulus', 'Chertan', 'Denebola', 'Zosma', 'Algieba'],
+            ['Zosma', 'Chertan'],
+        ],
+    },
+    {
+        id: 'vir',
+        name: 'Virgo',
+        lines: [
+            ['Spica', 'Heze', 'Porrima', 'Minelauva', 'Vindemiatrix'],
+            ['Porrima', 'Zavijava'],
+        ],
+    },
+    {
+        id: 'lib',
+        name: 'Libra',
+        lines: [
+            ['Zubenelgenubi', 'Zubeneschamali'],
+        ],
+    },
+    {
+        id: 'sco',
+        name: 'Scorpius',
+        lines: [
+            ['Acrab', 'Dschubba', 'Fang'],
+            ['Dschubba', 'Alniyat', 'Antares', 'Paikauhale', 'Larawag', 'Xamidimura', 'Zeta Scorpii', 'Eta Scorpii', 'Sargas', 'Iota Scorpii', 'Girtab', 'Shaula', 'Lesath'],
+        ],
+    },
+    {
+        id: 'sgr',
+        name: 'Sagittarius',
+        lines: [
+            ['Kaus Australis', 'Kaus Media', 'Kaus Borealis', 'Phi Sagittarii', 'Nunki', 'Tau Sagittarii', 'Ascella', 'Phi Sagittarii', 'Kaus Media'],
+            ['Kaus Media', 'Alnasl', 'Kaus Australis', 'Ascella'],
+        ],
+    },
+    {
+        id: 'cap',
+        name: 'Capricornus',
+        lines: [
+            ['Algedi', 'Dabih', 'Deneb Algedi'],
+        ],
+    },
+    {
+        id: 'aqr',
+        name: 'Aquarius',
+        lines: [
+            ['Sadalmelik', 'Sadalsuud'],
+        ],
+    },
+    {
+        id: 'ari',
+        name: 'Aries',
+        lines: [
+            ['Hamal', 'Sheratan', 'Mesarthim'],
+        ],
+    },
+    {
+        id: 'cet',
+        name: 'Cetus',
+        lines: [
+            ['Menkar', 'Mira', 'Diphda'],
+        ],
+    },
+    {
+        id: 'lep',
+        name: 'Lepus',
+        lines: [
+            ['Arneb', 'Nihal'],
+        ],
+    },
+    {
+        id: 'crv',
+        name: 'Corvus',
+        lines: [
+            ['Alchiba', 'Minkar', 'Gienah', 'Algorab', 'Kraz', 'Minkar'],
+        ],
+    },
+    {
+        id: 'cru',
+        name: 'Crux',
+        lines: [
+            ['Acrux', 'Gacrux'],
+            ['Imai', 'Mimosa'],
+        ],
+    },
+    {
+        id: 'cen',
+        name: 'Centaurus',
+        lines: [
+            ['Rigil Kentaurus', 'Hadar', 'Epsilon Centauri', 'Zeta Centauri', 'Eta Centauri', 'Menkent'],
+            ['Zeta Centauri', 'Muhlifain', 'Delta Centauri'],
+        ],
+    },
+    {
+        id: 'tra',
+        name: 'Triangulum Australe',
+        lines: [
+            ['Atria', 'Beta Trianguli Australis', 'Gamma Trianguli Australis', 'Atria'],
+        ],
+    },
+    {
+        id: 'gru',
+        name: 'Grus',
+        lines: [
+            ['Alnair', 'Tiaki'],
+        ],
+    },
+];
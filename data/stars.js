@@ -0,0 +1,309 @@
+/**
+ * bright-star catalog, J2000 positions, from the Yale Bright Star Catalogue (5th revised edition)
+ * http://tdc-www.harvard.edu/catalogs/bsc5.html
+ * each entry is [name, raHours, decDeg, magnitude, colorIndex]
+ * @param {string} name - proper or Bayer name, referenced by data/constellations.js
+ * @param {number} raHours - right ascension in hours
+ * @param {number} decDeg - declination in degrees
+ * @param {number} magnitude - apparent visual magnitude, lower is brighter
+ * @param {number} colorIndex - B-V color index, negative is blue, above 1.5 is red
+ */
+
+export const STARS = [
+    // orion
+    ['Betelgeuse', 5.9195, 7.4071, 0.50, 1.85],
+    ['Rigel', 5.2423, -8.2016, 0.13, -0.03],
+    ['Bellatrix', 5.4189, 6.3497, 1.64, -0.22],
+    ['Mintaka', 5.5334, -0.2991, 2.23, -0.22],
+    ['Alnilam', 5.6036, -1.2019, 1.69, -0.18],
+    ['Alnitak', 5.6793, -1.9426, 1.77, -0.21],
+    ['Saiph', 5.7959, -9.6696, 2.09, -0.17],
+    ['Meissa', 5.5856, 9.9342, 3.39, -0.16],
+
+    // canis major and minor
+    ['Sirius', 6.7525, -16.7161, -1.46, 0.00],
+    ['Adhara', 6.9771, -28.9721, 1.50, -0.21],
+    ['Wezen', 7.1399, -26.3932, 1.83, 0.67],
+    ['Mirzam', 6.3783, -17.9559, 1.98, -0.23],
+    ['Aludra', 7.4016, -29.3031, 2.45, -0.08],
+    ['Furud', 6.3386, -30.0634, 3.02, -0.16],
+    ['Procyon', 7.6550, 5.2250, 0.34, 0.42],
+    ['Gomeisa', 7.4525, 8.2893, 2.89, -0.10],
+
+    // gemini
+    ['Pollux', 7.7553, 28.0262, 1.14, 1.00],
+    ['Castor', 7.5767, 31.8883, 1.58, 0.03],
+    ['Alhena', 6.6285, 16.3993, 1.93, 0.00],
+    ['Tejat', 6.3827, 22.5136, 2.87, 1.64],
+    ['Mebsuta', 6.7322, 25.1311, 2.98, 1.40],
+    ['Wasat', 7.3354, 21.9823, 3.53, 0.34],
+    ['Mekbuda', 7.0686, 20.5703, 3.79, 0.79],
+    ['Propus', 6.2479, 22.5068, 3.31, 1.60],
+    ['Alzirr', 6.7548, 12.8959, 3.35, 0.43],
+
+    // taurus
+    ['Aldebaran', 4.5987, 16.5093, 0.86, 1.54],
+    ['Elnath', 5.4382, 28.6075, 1.65, -0.13],
+    ['Alcyone', 3.7914, 24.1051, 2.87, -0.09],
+    ['Tianguan', 5.6274, 21.1426, 3.03, -0.19],
+    ['Ain', 4.4769, 19.1804, 3.53, 1.01],
+    ['Chamukuy', 4.4776, 15.8709, 3.40, 0.18],
+    ['Prima Hyadum', 4.3299, 15.6276, 3.65, 0.99],
+    ['Secunda Hyadum', 4.3824, 17.5425, 3.76, 0.98],
+    ['Lambda Tauri', 4.0110, 12.4903, 3.47, -0.12],
+
+    // auriga
+    ['Capella', 5.2782, 45.9980, 0.08, 0.80],
+    ['Menkalinan', 5.9921, 44.9474, 1.90, 0.08],
+    ['Mahasim', 5.9954, 37.2126, 2.62, -0.08],
+    ['Hassaleh', 4.9499, 33.1661, 2.69, 1.53],
+    ['Almaaz', 5.0328, 43.8233, 2.99, 0.54],
+    ['Haedus', 5.1086, 41.2345, 3.17, -0.18],
+
+    // perseus
+    ['Mirfak', 3.4054, 49.8612, 1.79, 0.48],
+    ['Algol', 3.1361, 40.9556, 2.12, -0.05],
+    ['Atik', 3.9022, 31.8836, 2.85, 0.12],
+    ['Epsilon Persei', 3.9642, 40.0102, 2.89, -0.18],
+    ['Delta Persei', 3.7154, 47.7876, 3.01, -0.13],
+    ['Gamma Persei', 3.0799, 53.5064, 2.93, 0.70],
+
+    // cassiopeia
+    ['Schedar', 0.6751, 56.5373, 2.24, 1.17],
+    ['Caph', 0.1530, 59.1498, 2.28, 0.34],
+    ['Gamma Cassiopeiae', 0.9451, 60.7167, 2.47, -0.15],
+    ['Ruchbah', 1.4302, 60.2353, 2.68, 0.13],
+    ['Segin', 1.9066, 63.6701, 3.37, -0.15],
+
+    // andromeda
+    ['Alpheratz', 0.1398, 29.0904, 2.06, -0.11],
+    ['Mirach', 1.1622, 35.6206, 2.05, 1.58],
+    ['Almach', 2.0650, 42.3297, 2.26, 1.37],
+    ['Delta Andromedae', 0.6555, 30.8610, 3.27, 1.28],
+
+    // pegasus
+    ['Markab', 23.0793, 15.2053, 2.49, -0.04],
+    ['Scheat', 23.0629, 28.0828, 2.42, 1.67],
+    ['Algenib', 0.2206, 15.1836, 2.83, -0.23],
+    ['Enif', 21.7364, 9.8750, 2.39, 1.52],
+    ['Homam', 22.6910, 10.8314, 3.40, -0.09],
+    ['Matar', 22.7167, 30.2212, 2.94, 0.86],
+    ['Biham', 22.1700, 6.1979, 3.53, 0.08],
+
+    // ursa major
+    ['Dubhe', 11.0621, 61.7510, 1.79, 1.07],
+    ['Merak', 11.0307, 56.3824, 2.37, -0.02],
+    ['Phecda', 11.8972, 53.6948, 2.44, 0.04],
+    ['Megrez', 12.2571, 57.0326, 3.31, 0.08],
+    ['Alioth', 12.9005, 55.9598, 1.77, -0.02],
+    ['Mizar', 13.3988, 54.9254, 2.27, 0.02],
+    ['Alkaid', 13.7923, 49.3133, 1.86, -0.19],
+
+    // ursa minor
+    ['Polaris', 2.5303, 89.2641, 1.98, 0.60],
+    ['Kochab', 14.8451, 74.1555, 2.08, 1.47],
+    ['Pherkad', 15.3455, 71.8340, 3.05, 0.05],
+    ['Yildun', 17.5369, 86.5865, 4.35, 0.02],
+    ['Epsilon Ursae Minoris', 16.7662, 82.0373, 4.23, 0.89],
+    ['Zeta Ursae Minoris', 15.7343, 77.7945, 4.32, 0.04],
+    ['Eta Ursae Minoris', 16.2918, 75.7553, 4.95, 0.37],
+
+    // draco
+    ['Eltanin', 17.9434, 51.4889, 2.23, 1.52],
+    ['Rastaban', 17.5072, 52.3014, 2.79, 0.98],
+    ['Thuban', 14.0731, 64.3759, 3.65, -0.05],
+    ['Aldhibah', 17.1465, 65.7147, 3.17, -0.12],
+    ['Altais', 19.2093, 67.6615, 3.07, 1.00],
+    ['Grumium', 17.8922, 56.8726, 3.75, 1.18],
+    ['Athebyne', 16.3999, 61.5142, 2.73, 0.91],
+
+    // lyra
+    ['Vega', 18.6156, 38.7837, 0.03, 0.00],
+    ['Sheliak', 18.8347, 33.3627, 3.52, 0.00],
+    ['Sulafat', 18.9824, 32.6896, 3.25, -0.05],
+    ['Zeta Lyrae', 18.7462, 37.6051, 4.36, 0.19],
+    ['Delta Lyrae', 18.9084, 36.8986, 4.30, 1.68],
+    ['Epsilon Lyrae', 18.7393, 39.6700, 4.67, 0.18],
+
+    // cygnus
+    ['Deneb', 20.6905, 45.2803, 1.25, 0.09],
+    ['Sadr', 20.3705, 40.2567, 2.23, 0.67],
+    ['Aljanah', 20.7702, 33.9703, 2.48, 1.03],
+    ['Fawaris', 19.7496, 45.1308, 2.87, -0.03],
+    ['Albireo', 19.5120, 27.9597, 3.05, 1.13],
+    ['Zeta Cygni', 21.2156, 30.2269, 3.21, 0.99],
+
+    // aquila
+    ['Altair', 19.8464, 8.8683, 0.76, 0.22],
+    ['Tarazed', 19.7710, 10.6133, 2.72, 1.52],
+    ['Alshain', 19.9219, 6.4068, 3.71, 0.86],
+    ['Okab', 19.0902, 13.8635, 2.99, 0.01],
+    ['Theta Aquilae', 20.1884, -0.8214, 3.24, -0.07],
+    ['Delta Aquilae', 19.4249, 3.1148, 3.36, 0.32],
+    ['Lambda Aquilae', 19.1042, -4.8826, 3.43, -0.09],
+
+    // bootes
+    ['Arcturus', 14.2610, 19.1824, -0.05, 1.23],
+    ['Izar', 14.7498, 27.0742, 2.37, 0.97],
+    ['Muphrid', 13.9114, 18.3977, 2.68, 0.58],
+    ['Seginus', 14.5347, 38.3083, 3.03, 0.19],
+    ['Nekkar', 15.0324, 40.3906, 3.50, 0.97],
+    ['Delta Bootis', 15.2584, 33.3148, 3.47, 0.95],
+    ['Rho Bootis', 14.5305, 30.3714, 3.58, 1.30],
+
+    // corona borealis
+    ['Alphecca', 15.5781, 26.7147, 2.22, -0.02],
+    ['Nusakan', 15.4638, 29.1057, 3.68, 0.28],
+    ['Gamma Coronae Borealis', 15.7124, 26.2956, 3.84, 0.00],
+    ['Theta Coronae Borealis', 15.5488, 31.3591, 4.14, -0.13],
+    ['Delta Coronae Borealis', 15.8260, 26.0684, 4.63, 0.80],
+    ['Epsilon Coronae Borealis', 15.9598, 26.8779, 4.15, 1.23],
+
+    // leo
+    ['Regulus', 10.1395, 11.9672, 1.35, -0.11],
+    ['Denebola', 11.8177, 14.5721, 2.14, 0.09],
+    ['Algieba', 10.3329, 19.8415, 2.08, 1.15],
+    ['Zosma', 11.2351, 20.5237, 2.56, 0.12],
+    ['Chertan', 11.2373, 15.4296, 3.33, -0.01],
+    ['Ras Elased Australis', 9.7642, 23.7743, 2.98, 0.81],
+    ['Adhafera', 10.2782, 23.4173, 3.44, 0.31],
+    ['Eta Leonis', 10.1222, 16.7627, 3.48, -0.03],
+    ['Rasalas', 9.8794, 26.0070, 3.88, 1.22],
+
+    // virgo
+    ['Spica', 13.4199, -11.1613, 0.97, -0.23],
+    ['Porrima', 12.6943, -1.4494, 2.74, 0.36],
+    ['Vindemiatrix', 13.0363, 10.9592, 2.85, 0.94],
+    ['Minelauva', 12.9267, 3.3975, 3.38, 1.58],
+    ['Zavijava', 11.8449, 1.7647, 3.61, 0.55],
+    ['Heze', 13.5783, -0.5958, 3.37, 0.11],
+
+    // scorpius
+    ['Antares', 16.4901, -26.4320, 1.06, 1.83],
+    ['Shaula', 17.5601, -37.1038, 1.62, -0.22],
+    ['Sargas', 17.6220, -42.9978, 1.86, 0.40],
+    ['Dschubba', 16.0056, -22.6217, 2.29, -0.12],
+    ['Acrab', 16.0906, -19.8055, 2.62, -0.07],
+    ['Larawag', 16.8361, -34.2932, 2.29, 1.15],
+    ['Girtab', 17.7081, -39.0300, 2.39, -0.22],
+    ['Paikauhale', 16.5981, -28.2160, 2.82, -0.25],
+    ['Alniyat', 16.3531, -25.5928, 2.90, 0.13],
+    ['Fang', 15.9809, -26.1141, 2.89, -0.19],
+    ['Xamidimura', 16.8645, -38.0474, 3.00, -0.20],
+    ['Zeta Scorpii', 16.9095, -42.3613, 3.62, 1.37],
+    ['Eta Scorpii', 17.2025, -43.2392, 3.33, 0.41],
+    ['Iota Scorpii', 17.7931, -40.1270, 2.99, 0.51],
+    ['Lesath', 17.5127, -37.2958, 2.70, -0.22],
+
+    // sagittarius
+    ['Kaus Australis', 18.4029, -34.3846, 1.85, -0.03],
+    ['Nunki', 18.9211, -26.2967, 2.05, -0.22],
+    ['Ascella', 19.0435, -29.8801, 2.60, 0.08],
+    ['Kaus Media', 18.3499, -29.8281, 2.70, 1.38],
+    ['Kaus Borealis', 18.4662, -25.4217, 2.81, 1.04],
+    ['Alnasl', 18.0968, -30.4241, 2.99, 1.00],
+    ['Phi Sagittarii', 18.7609, -26.9908, 3.17, -0.11],
+    ['Tau Sagittarii', 19.1157, -27.6704, 3.32, 1.19],
+
+    // crux and centaurus
+    ['Acrux', 12.4433, -63.0991, 0.77, -0.24],
+    ['Mimosa', 12.7953, -59.6888, 1.25, -0.23],
+    ['Gacrux', 12.5194, -57.1132, 1.59, 1.60],
+    ['Imai', 12.2524, -58.7489, 2.79, -0.23],
+    ['Rigil Kentaurus', 14.6600, -60.8340, -0.27, 0.71],
+    ['Hadar', 14.0637, -60.3730, 0.61, -0.23],
+    ['Menkent', 14.1114, -36.3700, 2.06, 1.01],
+    ['Muhlifain', 12.6919, -48.9599, 2.17, -0.01],
+    ['Epsilon Centauri', 13.6648, -53.4664, 2.30, -0.22],
+    ['Eta Centauri', 14.5918, -42.1578, 2.31, -0.19],
+    ['Zeta Centauri', 13.9257, -47.2884, 2.55, -0.18],
+    ['Delta Centauri', 12.1393, -50.7224, 2.60, -0.12],
+
+    // carina and vela
+    ['Canopus', 6.3992, -52.6957, -0.74, 0.15],
+    ['Miaplacidus', 9.2200, -69.7172, 1.67, 0.07],
+    ['Avior', 8.3752, -59.5095, 1.86, 1.28],
+    ['Aspidiske', 9.2848, -59.2752, 2.21, 0.19],
+    ['Regor', 8.1589, -47.3366, 1.83, -0.22],
+    ['Alsephina', 8.7450, -54.7088, 1.93, 0.04],
+    ['Suhail', 9.1333, -43.4326, 2.21, 1.66],
+    ['Naos', 8.0597, -40.0031, 2.25, -0.27],
+
+    // hercules
+    ['Kornephoros', 16.5036, 21.4896, 2.77, 0.94],
+    ['Zeta Herculis', 16.6881, 31.6027, 2.81, 0.65],
+    ['Pi Herculis', 17.2508, 36.8092, 3.16, 1.44],
+    ['Eta Herculis', 16.7149, 38.9223, 3.48, 0.92],
+    ['Epsilon Herculis', 17.0048, 30.9264, 3.92, -0.01],
+    ['Rasalgethi', 17.2441, 14.3903, 3.35, 1.16],
+    ['Sarin', 17.2505, 24.8392, 3.14, 0.08],
+
+    // ophiuchus
+    ['Rasalhague', 17.5822, 12.5600, 2.07, 0.16],
+    ['Sabik', 17.1730, -15.7249, 2.43, 0.06],
+    ['Cebalrai', 17.7245, 4.5673, 2.77, 1.16],
+    ['Yed Prior', 16.2393, -3.6943, 2.73, 1.58],
+    ['Zeta Ophiuchi', 16.6193, -10.5671, 2.56, 0.02],
+    ['Kappa Ophiuchi', 16.9612, 9.3750, 3.20, 1.15],
+
+    // corvus
+    ['Gienah', 12.2634, -17.5419, 2.59, -0.11],
+    ['Kraz', 12.5731, -23.3968, 2.65, 0.89],
+    ['Algorab', 12.4977, -16.5154, 2.95, -0.05],
+    ['Minkar', 12.1683, -22.6198, 3.00, 1.33],
+    ['Alchiba', 12.1400, -24.7289, 4.02, 0.32],
+
+    // cepheus
+    ['Alderamin', 21.3097, 62.5856, 2.45, 0.22],
+    ['Errai', 23.6558, 77.6323, 3.21, 1.03],
+    ['Alfirk', 21.4777, 70.5607, 3.23, -0.22],
+    ['Zeta Cephei', 22.1809, 58.2013, 3.35, 1.57],
+    ['Iota Cephei', 22.8280, 66.2004, 3.52, 1.05],
+
+    // lepus and columba
+    ['Arneb', 5.5455, -17.8223, 2.58, 0.21],
+    ['Nihal', 5.4707, -20.7594, 2.84, 0.82],
+    ['Phact', 5.6606, -34.0741, 2.65, -0.12],
+    ['Wazn', 5.8494, -35.7683, 3.12, 1.16],
+
+    // aries
+    ['Hamal', 2.1196, 23.4624, 2.00, 1.15],
+    ['Sheratan', 1.9107, 20.8080, 2.64, 0.13],
+    ['Mesarthim', 1.8925, 19.2939, 3.88, -0.04],
+
+    // capricornus and aquarius
+    ['Deneb Algedi', 21.7840, -16.1273, 2.87, 0.29],
+    ['Dabih', 20.3502, -14.7814, 3.05, 0.79],
+    ['Algedi', 20.3001, -12.5449, 3.57, 0.94],
+    ['Sadalsuud', 21.5260, -5.5712, 2.90, 0.83],
+    ['Sadalmelik', 22.0964, -0.3199, 2.95, 0.97],
+
+    // libra and serpens
+    ['Zubeneschamali', 15.2834, -9.3829, 2.61, -0.11],
+    ['Zubenelgenubi', 14.8480, -16.0418, 2.75, 0.15],
+    ['Unukalhai', 15.7378, 6.4256, 2.63, 1.17],
+
+    // cetus and eridanus
+    ['Diphda', 0.7265, -17.9866, 2.04, 1.02],
+    ['Menkar', 3.0380, 4.0897, 2.54, 1.64],
+    ['Mira', 2.3224, -2.9776, 3.04, 1.42],
+    ['Achernar', 1.6286, -57.2368, 0.46, -0.16],
+    ['Cursa', 5.1308, -5.0864, 2.79, 0.13],
+    ['Zaurak', 3.9672, -13.5085, 2.95, 1.59],
+
+    // southern sky
+    ['Fomalhaut', 22.9608, -29.6222, 1.16, 0.09],
+    ['Alnair', 22.1372, -46.9610, 1.74, -0.13],
+    ['Tiaki', 22.7111, -46.8846, 2.07, 1.60],
+    ['Peacock', 20.4275, -56.7351, 1.94, -0.20],
+    ['Atria', 16.8111, -69.0277, 1.91, 1.44],
+    ['Beta Trianguli Australis', 15.9191, -63.4307, 2.85, 0.29],
+    ['Gamma Trianguli Australis', 15.3152, -68.6795, 2.89, -0.01],
+    ['Ankaa', 0.4381, -42.3061, 2.40, 1.09],
+    ['Alpha Lupi', 14.6988, -47.3882, 2.30, -0.20],
+    ['Beta Arae', 17.4217, -55.5299, 2.84, 1.46],
+
+    // other bright stars
+    ['Alphard', 9.4598, -8.6586, 1.97, 1.44],
+    ['Cor Caroli', 12.9338, 38.3184, 2.89, -0.12],
+];
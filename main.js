@@ -1,5 +1,29 @@
 import * as THREE from 'three';
 import { BODIES } from './data/bodies.js';
+import { CAMERA_KEYFRAMES } from './data/cameraPath.js';
+import { STARS } from './data/stars.js';
+import { CONSTELLATIONS } from './data/constellations.js';
+import { orbitalPosition, orbitPath, meanAnomalyAt, rotationAngleAt, EPHEMERIS_RANGE } from './src/ephemeris.js';
+import { createSimulationClock } from './src/clock.js';
+import { createTimeControls } from './src/timeControls.js';
+import { createCameraFocus, pickBody } from './src/cameraFocus.js';
+import { createInfoPanel } from './src/infoPanel.js';
+import { createBodyLabels } from './src/labels.js';
+import { createCameraPath } from './src/cameraPath.js';
+import { createSectionStops } from './src/sectionStops.js';
+import { createExploreMode } from './src/exploreMode.js';
+import { SCALE_MODELS, auToKm, lerpScale } from './src/scaleModels.js';
+import { eclipticToScene } from './src/coordinates.js';
+import { createStarfield } from './src/starfield.js';
+import { createConstellations } from './src/constellations.js';
+import { createMilkyWay } from './src/milkyWay.js';
+import { createTextureManifest } from './src/textures.js';
+import { createTextureStreamer, textureLevels } from './src/textureStreaming.js';
+import { createBodyDetail } from './src/bodyDetail.js';
+import { createAtmospheres } from './src/atmosphere.js';
+import { createEarthSurface } from './src/earthSurface.js';
+import { createLoadingOverlay } from './src/loadingOverlay.js';
+import { easeInOutCubic } from './src/easing.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
@@ -10,26 +34,51 @@ import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPa
 const TWO_PI = Math.PI * 2;
 const DEG_TO_RAD = Math.PI / 180;
 
-const INIT_X = 0;
-const INIT_Y = 0;
-const INIT_Z = 10;
-
-// camera end positions for scroll
-const END_X = 0;
-const END_Y = 300;
-const END_Z = 1500;
-const END_ROTATION_X = -0.35;
-const SCROLL_DISTANCE = 6000; // pixels of scroll to reach end of camera path
-
-// scale factors
-const ROTATION_SCALE = 77; // used to scale rotation period
-const ORBIT_SCALE = 25000; // used to scale orbital period
-
-const RADIUS_SCALE = 2e-4; // used to scale body radii
-const DISTANCE_SCALE = 4e-7; // used to scale orbital distances
+const PICK_RADIUS_PX = 12; // clicks this close to a tiny body still select it
+const CLICK_SLOP_PX = 5; // pointer travel beyond this between press and release is a drag, not a click
+// clicks on these elements fall through the page content to the scene
+const PICK_PASS_THROUGH = 'canvas, main, section, .section-content';
+
+// simulation clock
+const CLOCK_RATE = 7; // simulated days per real second at startup
+const MAX_FRAME_SECONDS = 0.1; // clamp on real time per frame so a throttled or hidden tab doesn't jump ahead
+const SPIN_SCALE = 3e-3; // slows body spin relative to simulated time so surfaces stay readable
+// moons are slowed to this fraction of an orbit per frame, well short of the half orbit where they appear to run backwards
+const MAX_ORBIT_PER_FRAME = 0.25;
+
+// scale models, see src/scaleModels.js
+const INITIAL_SCALE_MODEL = 'linear';
+const SCALE_TRANSITION_SECONDS = 2;
+
+// camera clipping, the logarithmic depth buffer keeps precision across the huge range of true scale
+const MIN_NEAR = 1e-6; // near plane floor when the camera is right against a true-scale body
+const MAX_NEAR = 1;
+const NEAR_SURFACE_FRACTION = 0.5; // near plane as a fraction of the distance to the closest surface
+
+// constellation figures fade out as the camera zooms in, measured by the largest body's apparent radius
+// as a fraction of the viewport half-height: fully shown below the first size, hidden above the second
+const CONSTELLATION_FADE_SIZES = [0.02, 0.1];
+
+// milky way backdrop, kept dim since the bloom pass brightens everything on screen
+const MILKY_WAY_PATH = null; // no panorama is bundled, the procedural band is drawn instead
+const SKY_BRIGHTNESS = 0.35;
+
+// relief and lighting maps a body can list under `maps`: the material slot each fills and the plain
+// color that stands in for a missing file without changing the surface (flat normal, flat height,
+// no displacement, unchanged roughness, no glow)
+const SURFACE_MAPS = {
+	normal: { slot: 'normalMap', fallback: '#8080ff' },
+	bump: { slot: 'bumpMap', fallback: '#808080' },
+	displacement: { slot: 'displacementMap', fallback: '#000000' },
+	roughness: { slot: 'roughnessMap', fallback: '#ffffff' },
+	emissive: { slot: 'emissiveMap', fallback: '#000000' },
+};
+const DEFAULT_DISPLACEMENT_SCALE = 0.01; // in body radii
+
+const ORBIT_SEGMENTS = 256; // points sampled around each orbit ellipse
 
 // pulsing sun parameters
-const FLARE_BASE_SCALE = 18;
+const FLARE_SUN_RADII = 6.5; // flare sprite size relative to the Sun's scene radius
 const FLARE_BASE_OPACITY = 0.45;
 const FLARE_PULSE_FREQ = 0.25;
 const FLARE_PULSE_AMPL = 0.35;
@@ -39,22 +88,34 @@ const SUN_PULSE_AMPL = 0.25;
 // ---------------------
 // SHARED RESOURCES
 // ---------------------
-const textureLoader = new THREE.TextureLoader();
-const STAR_GEOM = new THREE.SphereGeometry(0.5, 8, 6);
-const STAR_MAT = new THREE.MeshBasicMaterial({ color: 0xffffff });
-const STAR_COUNT = 300; // number of random stars generated
+// every asset goes through one manager so the loading overlay can report on all of them
+const loadingManager = new THREE.LoadingManager();
+createLoadingOverlay(loadingManager, document.querySelector('#loading'), () => document.body.classList.add('scene-ready'));
+const textureLoader = new THREE.TextureLoader(loadingManager);
+const textures = createTextureManifest(textureLoader); // body and ring maps, with procedural maps or placeholders for missing files
+// sharper body maps load on demand outside the loading manager, so they never hold up the loading screen
+const textureStreamer = createTextureStreamer(new THREE.TextureLoader());
+const bodyDetail = createBodyDetail(); // shared sphere levels and impostor dot for every body
+const atmospheres = createAtmospheres(); // glow shells lit from the sun light
 
 // ---------------------
 // scene setup
 // ---------------------
 const scene = new THREE.Scene();
 
-// ensure the camera far plane covers the outermost bodies
-const maxScaledDist = Math.max(...BODIES.map(b => b.distKm * DISTANCE_SCALE));
-const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 1, Math.max(1000, maxScaledDist * 2));
-camera.position.set(INIT_X, INIT_Y, INIT_Z);
+// ensure the camera far plane covers the outermost bodies in every scale model
+const maxScaledDist = Math.max(...Object.values(SCALE_MODELS).flatMap(m => BODIES.map(b => m.distance(b.distKm))));
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, MAX_NEAR, Math.max(1000, maxScaledDist * 2));
 
-const renderer = new THREE.WebGLRenderer({ canvas: document.querySelector('#bg'), antialias: true });
+// scroll-driven camera pose from the keyframe path
+const scrollRig = new THREE.Object3D();
+// scroll pose, or a framing of the body named by the section in view; copied onto the camera
+// whenever the visitor hasn't focused a body themselves
+const sectionRig = new THREE.Object3D();
+const sectionFocus = createCameraFocus(sectionRig, scrollRig);
+const cameraFocus = createCameraFocus(camera, sectionRig);
+
+const renderer = new THREE.WebGLRenderer({ canvas: document.querySelector('#bg'), antialias: true, logarithmicDepthBuffer: true });
 renderer.setPixelRatio(window.devicePixelRatio);
 renderer.setSize(window.innerWidth, window.innerHeight);
 
@@ -82,7 +143,6 @@ sunLight.decay = 0;
 sunLight.distance = 0;
 scene.add(sunLight);
 
-const flareSize = FLARE_BASE_SCALE;
 const flareCanvas = document.createElement('canvas');
 flareCanvas.width = flareCanvas.height = 256;
 const fctx = flareCanvas.getContext('2d');
@@ -96,7 +156,6 @@ fctx.fillRect(0, 0, 256, 256);
 const flareTex = new THREE.CanvasTexture(flareCanvas);
 const flareMat = new THREE.SpriteMaterial({ map: flareTex, color: 0xffffff, blending: THREE.AdditiveBlending, transparent: true, opacity: FLARE_BASE_OPACITY });
 const flareSprite = new THREE.Sprite(flareMat);
-flareSprite.scale.set(flareSize, flareSize, 1);
 flareSprite.position.set(0, 0, 0);
 flareSprite.renderOrder = 0;
 flareSprite.material.depthTest = false;
@@ -111,30 +170,23 @@ bloomPass.strength = 0.5;
 bloomPass.radius = 0.6;
 composer.addPass(bloomPass);
 
-// ---------------------
-// helper functions
-// ---------------------
-function randSpread() {
-	return THREE.MathUtils.randFloatSpread(2000);
-}
-
 // ---------------------
 // factory functions
 // ---------------------
 /**
  * create a ring for a celestial body
- * @param {string} bodyName - body name as a lowercase string
- * @param {Object} ringRadii - the inner and outer ring radii in km
+ * @param {Object} data - body entry from BODIES
+ * @param {Object} ringRadii - the inner and outer ring radii in body radii
  * @returns {Object} the created ring mesh
  */
-function createRing(bodyName, ringRadii) {
+function createRing(data, ringRadii) {
 	const ringGeom = new THREE.RingGeometry(
 		ringRadii.innerRadius,
 		ringRadii.outerRadius
 	);
 
-	const ringPath = `assets/maps/${bodyName}Ring.jpg`;
-	const ringTexture = textureLoader.load(ringPath);
+	// a plain fill stands in for a missing ring texture, latitude bands would run straight across the ring
+	const ringTexture = textures.load(data.ringTexture, data.color, 0);
 
 	const ringMat = new THREE.MeshStandardMaterial({
 		map: ringTexture,
@@ -148,149 +200,418 @@ function createRing(bodyName, ringRadii) {
 }
 
 /**
- * create body orbit torus
- * @param {number} distance - body distance from Sun in AU
- * @returns {Object} the created orbit mesh
+ * create body orbit ellipse with the parent at one focus, scaled by the orbit's semi-major axis
+ * @param {Object} data - body entry from BODIES
+ * @returns {Object} the created orbit line with a unit semi-major axis
  */
-function createOrbit(distance) {
-	const orbitGeom = new THREE.TorusGeometry(distance, 0.1);
-	const orbitMat = new THREE.MeshBasicMaterial({
+function createOrbit(data) {
+	const points = orbitPath(data, 1, ORBIT_SEGMENTS).map(p => eclipticToScene(p));
+	const orbitGeom = new THREE.BufferGeometry().setFromPoints(points);
+	const orbitMat = new THREE.LineBasicMaterial({
 		color: 0xffffff,
 		transparent: true,
 		opacity: 0.1
 	});
-	return new THREE.Mesh(orbitGeom, orbitMat);
+	return new THREE.LineLoop(orbitGeom, orbitMat);
+}
+
+/**
+ * create a body's surface material, adding whichever relief and lighting maps the body lists
+ * @param {Object} data - body entry from BODIES
+ * @param {Object} map - the body's color texture
+ * @returns {Object} the created material
+ */
+function createBodyMaterial(data, map) {
+	// show the sun texture directly, it isn't lit by its own light
+	if (data.id === 'sun') return new THREE.MeshBasicMaterial({ map });
+
+	const material = new THREE.MeshStandardMaterial({ map });
+	const maps = data.maps || {};
+	for (const [key, { slot, fallback }] of Object.entries(SURFACE_MAPS)) {
+		if (maps[key]) material[slot] = textures.load(maps[key], fallback, 0);
+	}
+	if (maps.normalScale != null) material.normalScale.setScalar(maps.normalScale);
+	if (maps.bumpScale != null) material.bumpScale = maps.bumpScale;
+	// displacement is in body radii, the material's default of 1 would double the sphere
+	material.displacementScale = maps.displacementScale ?? DEFAULT_DISPLACEMENT_SCALE;
+	// the emissive color multiplies the map, so it has to be white for the map to show
+	if (material.emissiveMap) material.emissive.set(0xffffff);
+	return material;
 }
 
 /**
- * create a celestial body
- * @param {string} bodyName - body name as a lowercase string
- * @param {number} bodyRadius - body radius in km
- * @param {number} distance - body distance from Sun in AU
- * @param {Object} ringRadii - the inner and outer ring radii in km
+ * create a celestial body with a unit radius, sized through its scale by the active scale model
+ * @param {Object} data - body entry from BODIES
+ * @param {Object} ringRadii - the inner and outer ring radii in body radii
  * @returns {Object} the created celestial body
  */
-function createBody(bodyName, bodyRadius, distance, ringRadii) {
+function createBody(data, ringRadii) {
+	const bodyName = data.id;
 
-	const bodyGeom = new THREE.SphereGeometry(bodyRadius);
-	const bodyPath = `assets/maps/${bodyName}.jpg`;
-	const bodyTexture = textureLoader.load(bodyPath);
-	const bodyMat = new THREE.MeshStandardMaterial({ map: bodyTexture });
-	const body = new THREE.Mesh(bodyGeom, bodyMat);
+	// start from the smallest level, the texture streamer swaps in larger ones as the body grows on screen
+	const bodyTexture = textures.load(textureLevels(data)[0].path, data.color, undefined, data.procedural);
+
+	const material = createBodyMaterial(data, bodyTexture);
 
 	// planets cast and receive shadows, sun does not
+	let body;
 	if (bodyName === 'sun') {
-		// show the sun texture directly and ensure it renders above the flare
-		body.material = new THREE.MeshBasicMaterial({ map: bodyTexture });
-		body.renderOrder = 1;
-		body.castShadow = false;
-		body.receiveShadow = false;
+		// ensure the sun renders above the flare
+		body = bodyDetail.create(material, { color: data.color, renderOrder: 1 });
 	} else {
-		body.castShadow = true;
-		body.receiveShadow = true;
+		body = bodyDetail.create(material, { color: data.color, castShadow: true, receiveShadow: true });
 	}
+	// the pivot sits at the parent's position, so the body and its orbit follow the parent around
 	const pivot = new THREE.Object3D();
 	pivot.add(body);
 	scene.add(pivot);
-	body.position.set(distance, 0, 0);
-	const orbit = createOrbit(distance);
-	scene.add(orbit);
-	orbit.rotation.x += 0.5 * Math.PI;
+	const orbit = createOrbit(data);
+	pivot.add(orbit);
+
+	const created = { body, material, pivot, orbit };
+
+	// city lights, ocean glint and clouds for bodies that list those maps; missing files load as
+	// plain black, which turns the matching effect off
+	if (data.maps && data.maps.night) {
+		created.surface = createEarthSurface(material, {
+			night: textures.load(data.maps.night, 'black', 0),
+			specular: textures.load(data.maps.specular, 'black', 0),
+			clouds: textures.load(data.maps.clouds, 'black', 0),
+		});
+		body.add(created.surface.clouds);
+	}
 
-	// attach ring to the planet mesh so it inherits the planet's spin
+	// the glow shell is a child of the body so it follows the body's scale
+	if (data.atmosphere) {
+		created.atmosphere = atmospheres.create(data.atmosphere);
+		body.add(created.atmosphere);
+	}
+
+	// attach ring to the planet so it inherits the planet's spin
 	if (ringRadii) {
-		const ring = createRing(bodyName, ringRadii);
+		const ring = createRing(data, ringRadii);
 		// add ring as a child of the body so it rotates with the body's spin
 		body.add(ring);
 		ring.position.set(0, 0, 0);
 		ring.rotation.x = -0.5 * Math.PI;
-
-		return { body, ring, pivot, orbit };
+		created.ring = ring;
 	}
 
-	// no ring for this body
-	return { body, pivot, orbit };
+	return created;
 }
 
 // ---------------------
 // scene population
 // ---------------------
-/**
- * Add a star at a random position in the scene
- */
-function addStar() {
-	// reuse geometry and material for many stars to save memory
-	const star = new THREE.Mesh(STAR_GEOM, STAR_MAT);
-	const [x, y, z] = [randSpread(), randSpread(), randSpread()];
-	star.position.set(x, y, z);
-	scene.add(star);
-}
+// background stars at their catalog positions
+const starfield = createStarfield(STARS, renderer.getPixelRatio());
+scene.add(starfield.object);
+
+// galactic panorama behind the stars, also riding along with the camera
+const milkyWay = createMilkyWay(textureLoader, MILKY_WAY_PATH, SKY_BRIGHTNESS);
+starfield.object.add(milkyWay.object);
 
-for (let i = 0; i < STAR_COUNT; i++) addStar();
+const skyBrightnessInput = document.querySelector('#sky-brightness input');
+skyBrightnessInput.value = SKY_BRIGHTNESS;
+skyBrightnessInput.addEventListener('input', () => milkyWay.setBrightness(Number(skyBrightnessInput.value)));
 
 // create bodies from data file
-const bodyObjects = new Map(); // id -> { body, pivot, ring?, orbit }
+const bodyObjects = new Map(); // id -> { body, material, pivot, ring?, atmosphere?, surface?, orbit, data, radius, semiMajorAxis, parent, scaleFrom, scaleTo }
+
+// simulated time starts at the real current date
+const clock = createSimulationClock({ epoch: Date.now(), rate: CLOCK_RATE, ...EPHEMERIS_RANGE });
+// date jumps and rate changes put moons slowed by the strobe cap back on the ephemeris
+clock.onChange(() => {
+	for (const obj of bodyObjects.values()) obj.orbitCapped = false;
+});
+const timeControls = createTimeControls(clock, document.querySelector('#time-controls'));
+
+let scaleModel = SCALE_MODELS[INITIAL_SCALE_MODEL];
+let scaleDistanceFrom = scaleModel; // model being transitioned away from
+let scaleElapsed = SCALE_TRANSITION_SECONDS;
+let sizeExaggeration = 1; // radius multiplier for exaggerable models
 
 for (const b of BODIES) {
-	let scaledRadius = b.radiusKm * RADIUS_SCALE;
-	if (b.id === 'sun') scaledRadius *= 0.02; // temporarily shrinking the sun more
-	const scaledDist = b.distKm * DISTANCE_SCALE;
+	// moons orbit their parent's moving position, planets orbit the Sun at the origin
+	const parent = (b.parent && b.parent !== 'sun') ? bodyObjects.get(b.parent) : null;
 
+	// ring radii are relative to the body so the ring scales with it
 	const ringParam = (b.ringOuterKm > b.ringInnerKm) ? {
-		innerRadius: b.ringInnerKm * RADIUS_SCALE,
-		outerRadius: b.ringOuterKm * RADIUS_SCALE,
+		innerRadius: b.ringInnerKm / b.radiusKm,
+		outerRadius: b.ringOuterKm / b.radiusKm,
 	} : null;
 
-	const created = createBody(b.id, scaledRadius, scaledDist, ringParam);
+	const created = createBody(b, ringParam);
 	// cache the body data with the created object to avoid lookup in animate loop
 	created.data = b;
+	created.parent = parent;
 	bodyObjects.set(b.id, created);
+	textureStreamer.add(created);
+
+	// size the body and its orbit for the initial scale model
+	created.scaleTo = scaleFor(created, scaleModel);
+	created.scaleFrom = created.scaleTo;
+	applyScale(created, created.scaleTo.radius, created.scaleTo.semiMajorAxis);
+
+	// apply axial tilt immediately, inclination is part of the orbit ephemeris
+	applyAxialTilt(created, b.axialTiltDeg);
+
+	// start every body where it actually is today
+	advanceRotationAndOrbit(created, clock, 0);
+}
+
+const sun = bodyObjects.get('sun');
+
+// constellation figures ride along with the starfield, their names go under the body labels
+const constellations = createConstellations(CONSTELLATIONS, STARS, document.querySelector('#labels'));
+starfield.object.add(constellations.object);
+
+// name labels, hidden when the Sun is in front of a body
+const bodyLabels = createBodyLabels(document.querySelector('#labels'), bodyObjects.values());
+const sunOccluder = new THREE.Sphere(new THREE.Vector3(), sun.radius);
+
+// scroll camera path, keyframes attached to a body follow it around its orbit and
+// free keyframes are remapped radially through the active scale model
+const resolvedBody = { position: new THREE.Vector3(), radius: 1 };
+const cameraPath = createCameraPath(CAMERA_KEYFRAMES, {
+	resolveBody(id) {
+		const obj = bodyObjects.get(id);
+		obj.body.getWorldPosition(resolvedBody.position);
+		resolvedBody.radius = obj.radius;
+		return resolvedBody;
+	},
+	mapPoint(out) {
+		const au = out.length();
+		if (au > 0) out.multiplyScalar(currentDistance(auToKm(au)) / au);
+		return out;
+	},
+});
 
-	// apply axial tilt and inclination immediately
-	applyTiltAndInclination(created, b.axialTiltDeg, b.inclinationDeg);
+// label sizes and section offsets both depend on the web fonts
+document.fonts.ready.then(() => {
+	bodyLabels.measure();
+	cameraPath.layout();
+});
 
-	// randomize initial planet rotational and orbital positions
-	const randomPhase = Math.random() * TWO_PI;
-	created.pivot.rotation.y = randomPhase;
-	created.body.rotation.y += Math.random() * TWO_PI;
+/**
+ * body radius and orbit size under a scale model; parents must be scaled before their moons
+ * @param {Object} body - the celestial body object
+ * @param {Object} model - entry from SCALE_MODELS
+ * @returns {Object} { radius, semiMajorAxis } in scene units
+ */
+function scaleFor(body, model) {
+	const data = body.data;
+	const exaggeration = model.exaggerable ? sizeExaggeration : 1;
+	return {
+		radius: model.radius(data, exaggeration),
+		semiMajorAxis: body.parent
+			? model.moonDistance(data, body.parent.scaleTo.radius, exaggeration)
+			: model.distance(data.distKm),
+	};
 }
 
 /**
- * apply axial tilt and orbital inclination to a body
+ * resize a body and its orbit line
+ * @param {Object} body - the celestial body object
+ * @param {number} radius - body radius in scene units
+ * @param {number} semiMajorAxis - orbit semi-major axis in scene units
+ */
+function applyScale(body, radius, semiMajorAxis) {
+	body.radius = radius;
+	body.semiMajorAxis = semiMajorAxis;
+	body.body.scale.setScalar(radius);
+	// a zero scale makes the Sun's degenerate orbit matrix non-invertible
+	body.orbit.scale.setScalar(semiMajorAxis || 1);
+}
+
+/**
+ * switch to another scale model, animating every body from its current size
+ * @param {string} id - key of SCALE_MODELS
+ */
+function setScaleModel(id) {
+	const previous = scaleModel;
+	scaleModel = SCALE_MODELS[id];
+	scaleDistanceFrom = previous;
+	for (const obj of bodyObjects.values()) {
+		obj.scaleFrom = { radius: obj.radius, semiMajorAxis: obj.semiMajorAxis };
+		obj.scaleTo = scaleFor(obj, scaleModel);
+	}
+	scaleElapsed = 0;
+}
+
+/**
+ * distance under the scale model transition in progress, for points that aren't bodies
+ * @param {number} km - distance from the Sun in km
+ * @returns {number} distance in scene units
+ */
+function currentDistance(km) {
+	const t = easeInOutCubic(scaleElapsed / SCALE_TRANSITION_SECONDS);
+	return lerpScale(scaleDistanceFrom.distance(km), scaleModel.distance(km), t);
+}
+
+/**
+ * advance a running scale model transition (per-frame)
+ * @param {number} dt - real seconds since the last frame
+ */
+function updateScaleTransition(dt) {
+	if (scaleElapsed >= SCALE_TRANSITION_SECONDS) return;
+	scaleElapsed = Math.min(SCALE_TRANSITION_SECONDS, scaleElapsed + dt);
+	const t = easeInOutCubic(scaleElapsed / SCALE_TRANSITION_SECONDS);
+	for (const obj of bodyObjects.values()) {
+		applyScale(obj,
+			lerpScale(obj.scaleFrom.radius, obj.scaleTo.radius, t),
+			lerpScale(obj.scaleFrom.semiMajorAxis, obj.scaleTo.semiMajorAxis, t));
+	}
+}
+
+/**
+ * change how much body sizes are exaggerated, applied immediately unless a transition is running
+ * @param {number} exaggeration - radius multiplier, 1 is true size
+ */
+function setSizeExaggeration(exaggeration) {
+	sizeExaggeration = exaggeration;
+	if (!scaleModel.exaggerable) return;
+	const transitioning = scaleElapsed < SCALE_TRANSITION_SECONDS;
+	for (const obj of bodyObjects.values()) {
+		obj.scaleTo = scaleFor(obj, scaleModel);
+		if (!transitioning) applyScale(obj, obj.scaleTo.radius, obj.scaleTo.semiMajorAxis);
+	}
+}
+
+const clipProbe = new THREE.Vector3();
+
+/**
+ * fit the near and far planes around the closest body surface and the whole system (per-frame)
+ */
+function updateClipPlanes() {
+	let closest = Infinity;
+	for (const obj of bodyObjects.values()) {
+		obj.body.getWorldPosition(clipProbe);
+		closest = Math.min(closest, clipProbe.distanceTo(camera.position) - obj.radius);
+	}
+	const near = THREE.MathUtils.clamp(closest * NEAR_SURFACE_FRACTION, MIN_NEAR, MAX_NEAR);
+	const far = Math.max(1000, maxScaledDist * 2 + camera.position.length());
+	if (near !== camera.near || far !== camera.far) {
+		camera.near = near;
+		camera.far = far;
+		camera.updateProjectionMatrix();
+	}
+}
+
+/**
+ * how far the camera is zoomed out of close-ups, used to fade the constellation figures (per-frame)
+ * @returns {number} 1 when every body looks small, down to 0 when one fills a good part of the view
+ */
+function constellationZoomFade() {
+	const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+	let largest = 0;
+	for (const obj of bodyObjects.values()) {
+		obj.body.getWorldPosition(clipProbe);
+		largest = Math.max(largest, obj.radius / (clipProbe.distanceTo(camera.position) * tanHalfFov));
+	}
+	return 1 - THREE.MathUtils.smoothstep(largest, ...CONSTELLATION_FADE_SIZES);
+}
+
+/**
+ * fit each body's detail levels to its size on screen (per-frame)
+ */
+function updateBodyDetail() {
+	const focalPx = window.innerHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+	for (const obj of bodyObjects.values()) {
+		bodyDetail.update(obj.body, obj.radius, focalPx);
+	}
+}
+
+const scaleSelect = document.querySelector('#scale-model');
+const exaggerationControl = document.querySelector('#size-exaggeration');
+const exaggerationInput = exaggerationControl.querySelector('input');
+const exaggerationLabel = exaggerationControl.querySelector('output');
+
+scaleSelect.replaceChildren(...Object.entries(SCALE_MODELS).map(([id, model]) => new Option(model.label, id)));
+scaleSelect.value = INITIAL_SCALE_MODEL;
+exaggerationControl.hidden = !scaleModel.exaggerable;
+scaleSelect.addEventListener('change', () => {
+	setScaleModel(scaleSelect.value);
+	exaggerationControl.hidden = !scaleModel.exaggerable;
+});
+
+// the slider is logarithmic, from true size up to 1000x
+exaggerationInput.addEventListener('input', () => {
+	const exaggeration = Math.round(Math.pow(10, Number(exaggerationInput.value)));
+	exaggerationLabel.textContent = `×${exaggeration}`;
+	setSizeExaggeration(exaggeration);
+});
+
+/**
+ * apply axial tilt to a body, measured from the ecliptic
  * @param {Object} body - the celestial body object
  * @param {number} tilt - the axial tilt in degrees
- * @param {number} inclination - the orbital inclination to the ecliptic in degrees
  */
-function applyTiltAndInclination(body, tilt, inclination) {
+function applyAxialTilt(body, tilt) {
 	tilt *= DEG_TO_RAD;
-	inclination *= DEG_TO_RAD;
 	body.body.rotation.x += tilt;
-	body.pivot.rotation.x += inclination;
-	body.orbit.rotation.x += inclination;
 }
 
 // ---------------------
 // animation helpers (per-frame)
 // ---------------------
 /**
- * advance the body's spin and orbital angle for animation (per-frame)
+ * @param {Object} data - body entry from BODIES
+ * @returns {boolean} whether the body spins once per orbit, keeping one face towards its parent
+ */
+function isTidallyLocked(data) {
+	return data.orbitalDays != null && Math.abs(data.rotationDays) === data.orbitalDays;
+}
+
+/**
+ * mean anomaly to draw a body at: the ephemeris value, except for a moon that would turn so far between
+ * frames that it strobes; that one keeps going round at MAX_ORBIT_PER_FRAME until the clock next changes
  * @param {Object} body - the celestial body object
- * @param {number} dayLength - body day length in Earth days
- * @param {number} yearLength - body year length in Earth days
+ * @param {Object} clock - the simulation clock
+ * @param {number} dt - real seconds since the last frame
+ * @returns {number} mean anomaly in radians
  */
-function advanceRotationAndOrbit(body, dayLength, yearLength) {
+function displayedMeanAnomaly(body, clock, dt) {
+	const orbitsThisFrame = Math.abs(clock.rate) * dt / body.data.orbitalDays;
+	if (body.parent && !clock.paused && orbitsThisFrame > MAX_ORBIT_PER_FRAME) body.orbitCapped = true;
+
+	if (body.orbitCapped) {
+		body.meanAnomaly = (body.meanAnomaly + Math.sign(clock.rate) * TWO_PI * MAX_ORBIT_PER_FRAME) % TWO_PI;
+	} else {
+		body.meanAnomaly = meanAnomalyAt(body.data, clock.epochMs);
+	}
+	return body.meanAnomaly;
+}
 
-	// rotationPeriod converts dayLength to rad/sec
-	const rotationPeriod = (TWO_PI / (dayLength * 86400)) * ROTATION_SCALE;
+/**
+ * set the body's spin and orbital position from the simulation clock (per-frame)
+ * parents must be advanced before their moons so the moon pivot follows the current parent position
+ * @param {Object} body - the celestial body object
+ * @param {Object} clock - the simulation clock
+ * @param {number} dt - real seconds since the last frame
+ */
+function advanceRotationAndOrbit(body, clock, dt) {
+	const data = body.data;
 
-	body.body.rotation.y += rotationPeriod;
+	if (body.parent) body.parent.body.getWorldPosition(body.pivot.position);
 
 	// need this if statement because the Sun has no orbital motion in this model
-	if (yearLength != null) {
-		const orbitalPeriod = (TWO_PI / (yearLength * 86400)) * ORBIT_SCALE;
-		body.pivot.rotation.y += orbitalPeriod;
+	if (data.orbitalDays != null) {
+		// mean anomaly advances uniformly; solving Kepler's equation turns it into
+		// a position that speeds up near perihelion and slows down at aphelion
+		const p = orbitalPosition(data, body.semiMajorAxis, displayedMeanAnomaly(body, clock, dt));
+		eclipticToScene(p, body.body.position);
 	}
 
+	if (isTidallyLocked(data)) {
+		// spin slowed by SPIN_SCALE would unlock the body, so turn its prime meridian (the sphere's +x)
+		// towards the parent, which sits at the pivot origin
+		const p = body.body.position;
+		body.body.rotation.y = Math.atan2(p.z, -p.x);
+	} else {
+		body.body.rotation.y = rotationAngleAt(data, clock.epochMs, SPIN_SCALE);
+	}
+	if (body.surface) body.surface.update(sunLight, clock.epochMs, SPIN_SCALE);
 }
 
 // ---------------------
@@ -305,68 +626,245 @@ function onWindowResize() {
 	camera.aspect = window.innerWidth / window.innerHeight;
 	camera.updateProjectionMatrix();
 	composer.setSize(window.innerWidth, window.innerHeight);
+	cameraPath.layout();
 }
 
 window.addEventListener('resize', onWindowResize);
 
-// linear interpolation helper
-const interpolate = (a, b, p) => a + (b - a) * p;
-
 /**
- * move the camera based on scroll position
+ * move the camera along the keyframe path, or to the current section's body (per-frame)
+ * @param {number} dt - real seconds since the last frame
  */
-function moveCamera() {
+function moveCamera(dt) {
+	// t is negative when scrolling down
 	const t = document.body.getBoundingClientRect().top;
-	// map scroll (t is negative when scrolling down) to a 0..1 progress over SCROLL_DISTANCE
-	const progress = Math.min(1, Math.max(0, -t / SCROLL_DISTANCE));
+	scrollRig.userData.fov = cameraPath.evaluate(-t, scrollRig);
+
+	sectionRig.userData.fov = scrollRig.userData.fov;
+	if (sectionFocus.active) {
+		sectionFocus.update(dt);
+	} else {
+		sectionRig.position.copy(scrollRig.position);
+		sectionRig.quaternion.copy(scrollRig.quaternion);
+	}
+
+	// a focused body or explore mode keeps the camera until released
+	if (!cameraFocus.active && !explore.active) {
+		camera.position.copy(sectionRig.position);
+		camera.quaternion.copy(sectionRig.quaternion);
+		if (camera.fov !== sectionRig.userData.fov) {
+			camera.fov = sectionRig.userData.fov;
+			camera.updateProjectionMatrix();
+		}
+	}
+}
+
+// glide to the body a section declares while it is in view, and back to the scroll path after
+createSectionStops(document.querySelectorAll('section'), (id) => {
+	const obj = id && bodyObjects.get(id);
+	if (obj) sectionFocus.focusOn(obj);
+	else sectionFocus.release();
+});
+
+// orbit controls take over the camera while exploring
+const explore = createExploreMode(camera, renderer.domElement);
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const pressPointer = { x: 0, y: 0 };
+const hoverPointer = new THREE.Vector2();
+let hoverActive = false; // whether the pointer is over empty page space
+
+/**
+ * @param {Element} target - event target
+ * @returns {boolean} whether pointer events on the target should reach the scene
+ */
+function isSceneTarget(target) {
+	return target === document.body || target.matches(PICK_PASS_THROUGH);
+}
+
+/**
+ * convert a pointer event to normalized device coordinates
+ * @param {PointerEvent} e - the pointer event
+ * @param {Object} target - vector to write into
+ */
+function toPointerNdc(e, target) {
+	target.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+}
 
-	camera.position.x = interpolate(INIT_X, END_X, progress);
-	camera.position.y = interpolate(INIT_Y, END_Y, progress);
-	camera.position.z = interpolate(INIT_Z, END_Z, progress);
-	camera.rotation.x = interpolate(0, END_ROTATION_X, progress);
+/**
+ * @param {Object} ndc - pointer in normalized device coordinates
+ * @returns {Object|null} the body object under the pointer
+ */
+function bodyAtPointer(ndc) {
+	const viewport = { width: window.innerWidth, height: window.innerHeight };
+	return pickBody(raycaster, camera, bodyObjects.values(), ndc, viewport, PICK_RADIUS_PX);
+}
+
+/**
+ * focus the body under the pointer when clicking on empty page space,
+ * or orbit around it when exploring
+ * @param {MouseEvent} e - the click event
+ */
+function onSceneClick(e) {
+	if (!isSceneTarget(e.target)) return;
+	// the end of an orbit-controls drag also fires a click
+	if (Math.hypot(e.clientX - pressPointer.x, e.clientY - pressPointer.y) > CLICK_SLOP_PX) return;
+
+	toPointerNdc(e, pointer);
+	const picked = bodyAtPointer(pointer);
+	if (!picked) return;
+	if (explore.active) explore.orbit(picked);
+	else cameraFocus.focusOn(picked);
 }
 
-document.body.onscroll = moveCamera;
+window.addEventListener('pointerdown', (e) => {
+	pressPointer.x = e.clientX;
+	pressPointer.y = e.clientY;
+});
+
+window.addEventListener('click', onSceneClick);
+
+window.addEventListener('pointermove', (e) => {
+	hoverActive = isSceneTarget(e.target);
+	if (hoverActive) toPointerNdc(e, hoverPointer);
+});
+
+document.documentElement.addEventListener('pointerleave', () => {
+	hoverActive = false;
+});
+
+const infoPanel = createInfoPanel(document.querySelector('#info-panel'), id => bodyObjects.get(id)?.data.name ?? id);
+
+/**
+ * show the info card for the hovered body, or the focused one when nothing is hovered (per-frame)
+ */
+function updateHover() {
+	// bodies move under a still pointer, so hover is re-picked every frame
+	const hovered = hoverActive ? bodyAtPointer(hoverPointer) : null;
+	document.body.style.cursor = hovered ? 'pointer' : '';
+
+	const shown = hovered || cameraFocus.target;
+	if (shown) infoPanel.show(shown.data);
+	else infoPanel.hide();
+}
+
+/**
+ * switch between free-flight exploring and the scroll-driven camera
+ * @param {boolean} on - whether to explore
+ */
+function setExploring(on) {
+	if (on === explore.active) return;
+	if (on) {
+		// start orbiting whatever the camera is already focused on
+		explore.enter(cameraFocus.target);
+	} else {
+		explore.exit();
+		// fly from wherever exploring left the camera back to the scroll pose
+		cameraFocus.returnHome();
+	}
+}
+
+const exploreToggle = document.querySelector('#explore-toggle');
+exploreToggle.addEventListener('click', () => setExploring(!explore.active));
+explore.onChange(() => {
+	document.body.classList.toggle('exploring', explore.active);
+	exploreToggle.setAttribute('aria-pressed', String(explore.active));
+	exploreToggle.textContent = explore.active ? 'exit explore' : 'explore';
+});
+
+const constellationToggle = document.querySelector('#constellation-toggle');
+constellationToggle.addEventListener('click', () => {
+	constellations.setVisible(!constellations.visible);
+	constellationToggle.setAttribute('aria-pressed', String(constellations.visible));
+});
+
+window.addEventListener('keydown', (e) => {
+	if (e.key !== 'Escape') return;
+	if (explore.active) setExploring(false);
+	else cameraFocus.release();
+});
+
+const focusBackButton = document.querySelector('#focus-back');
+focusBackButton.addEventListener('click', () => cameraFocus.release());
+cameraFocus.onChange(focus => {
+	focusBackButton.hidden = focus.target === null;
+});
+
+// restart frame timing when the tab becomes visible again instead of replaying the hidden interval
+document.addEventListener('visibilitychange', () => {
+	if (!document.hidden) lastFrameTime = null;
+});
 
 // cleanup on unload
 window.addEventListener('beforeunload', () => {
 	renderer.dispose();
 	composer.dispose();
-	STAR_GEOM.dispose();
-	STAR_MAT.dispose();
+	explore.dispose();
+	starfield.dispose();
+	milkyWay.dispose();
+	textures.dispose();
+	textureStreamer.dispose();
+	bodyDetail.dispose();
+	atmospheres.dispose();
+	bodyObjects.forEach(obj => obj.surface && obj.surface.dispose());
+	constellations.dispose();
 });
 
 onWindowResize();
+moveCamera(0);
 
 // ---------------------
 // main animation loop
 // ---------------------
-function animate() {
+let lastFrameTime = null;
+
+/**
+ * render one frame, advancing the simulation by the real time since the last frame
+ * @param {number} time - requestAnimationFrame timestamp in ms
+ */
+function animate(time = performance.now()) {
 	requestAnimationFrame(animate);
 
-	// advance rotation and orbit for all created bodies
-	for (const obj of bodyObjects.values()) {
-		// use cached data reference instead of searching BODIES array
-		const data = obj.data;
+	// elapsed real time keeps motion identical on 60 Hz and 144 Hz displays
+	const dt = lastFrameTime == null ? 0 : Math.min((time - lastFrameTime) / 1000, MAX_FRAME_SECONDS);
+	lastFrameTime = time;
 
-		// rotation and orbital period are both in days
-		const dayLength = data.rotationDays;
-		const yearLength = data.orbitalDays;
+	clock.tick(dt);
+	updateScaleTransition(dt);
+	timeControls.update();
 
-		// advance rotation for all bodies; orbital advance only when yearLength != null
-		advanceRotationAndOrbit(obj, dayLength, yearLength);
+	// place every created body at the clock's current epoch, parents come before their moons
+	for (const obj of bodyObjects.values()) {
+		advanceRotationAndOrbit(obj, clock, dt);
 	}
 
+	// keyframes and the focused body move with their orbits, so both update after the bodies
+	moveCamera(dt);
+	if (explore.active) explore.update();
+	else cameraFocus.update(dt);
+	updateHover();
+	sunOccluder.radius = sun.radius;
+	const viewport = { width: window.innerWidth, height: window.innerHeight };
+	bodyLabels.update(camera, viewport, sunOccluder);
+	constellations.update(camera, viewport, constellationZoomFade(), dt);
+
 	// sun pulse
-	const t = performance.now() / 1000;
+	const t = time / 1000;
 	const p = 0.5 * (1 + Math.sin(2 * Math.PI * FLARE_PULSE_FREQ * t));
 
 	flareSprite.material.opacity = FLARE_BASE_OPACITY + (p - 0.5) * FLARE_PULSE_AMPL;
-	const s = FLARE_BASE_SCALE * (1 + (p - 0.5) * FLARE_PULSE_AMPL);
+	const s = sun.radius * FLARE_SUN_RADII * (1 + (p - 0.5) * FLARE_PULSE_AMPL);
 	flareSprite.scale.set(s, s, 1);
 
 	sunLight.intensity = SUN_BASE_INTENSITY + (p - 0.5) * SUN_PULSE_AMPL;
+	atmospheres.update(sunLight);
 
+	// clip planes, the sky, detail and texture levels depend on where the camera ended up this frame
+	updateClipPlanes();
+	updateBodyDetail();
+	starfield.update(camera, t);
+	textureStreamer.update(camera, window.innerHeight * renderer.getPixelRatio());
 	composer.render();
 }
 
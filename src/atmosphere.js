@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// ---------------------
+// atmosphere shells
+// ---------------------
+const SHELL_SEGMENTS = 64;
+const RIM_POWER = 2.5; // higher keeps the glow tighter to the limb
+const EDGE_SOFTNESS = 0.2; // fades the glow out before the shell's own silhouette so it has no hard edge
+const SUNSET_COLOR = new THREE.Color(0xff8a4a); // scattering tint near the terminator
+const GLOW_STRENGTH = 1.2;
+
+const vertexShader = /* glsl */`
+	varying vec3 vWorldNormal;
+	varying vec3 vWorldPosition;
+
+	#include <common>
+	#include <logdepthbuf_pars_vertex>
+
+	void main() {
+		vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+		vWorldPosition = worldPosition.xyz;
+		vWorldNormal = normalize(mat3(modelMatrix) * normal);
+		gl_Position = projectionMatrix * viewMatrix * worldPosition;
+
+		#include <logdepthbuf_vertex>
+	}
+`;
+
+const fragmentShader = /* glsl */`
+	uniform vec3 color;
+	uniform vec3 sunsetColor;
+	uniform vec3 sunPosition;
+	uniform float sunIntensity;
+	uniform float rimPower;
+	uniform float edgeSoftness;
+	uniform float strength;
+
+	varying vec3 vWorldNormal;
+	varying vec3 vWorldPosition;
+
+	#include <logdepthbuf_pars_fragment>
+
+	void main() {
+		vec3 normal = normalize(vWorldNormal);
+		vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+		vec3 sunDir = normalize(sunPosition - vWorldPosition);
+
+		// fresnel rim: strongest where the line of sight grazes the shell, i.e. the most air along the ray
+		float facing = max(dot(normal, viewDir), 0.0);
+		float rim = pow(1.0 - facing, rimPower) * smoothstep(0.0, edgeSoftness, facing);
+
+		// only the sunlit side glows, with light scattering a little past the terminator
+		float sunAngle = dot(normal, sunDir);
+		float day = smoothstep(-0.25, 0.35, sunAngle);
+		vec3 tint = mix(sunsetColor, color, smoothstep(-0.1, 0.4, sunAngle));
+
+		gl_FragColor = vec4(tint * rim * day * sunIntensity * strength, 1.0);
+
+		#include <logdepthbuf_fragment>
+	}
+`;
+
+/**
+ * create the shared resources for atmosphere glow shells
+ * @returns {Object} { create, update, dispose }
+ */
+export function createAtmospheres() {
+	const geometry = new THREE.SphereGeometry(1, SHELL_SEGMENTS, SHELL_SEGMENTS / 2);
+	// every shell reads the same sun uniforms, so one update per frame lights them all
+	const sunPosition = { value: new THREE.Vector3() };
+	const sunIntensity = { value: 1 };
+	const materials = [];
+
+	return {
+		/**
+		 * build a glow shell to add as a child of a unit-radius body
+		 * @param {Object} atmosphere - { color, thickness } from the body data
+		 * @returns {Object} the shell mesh
+		 */
+		create({ color, thickness }) {
+			const material = new THREE.ShaderMaterial({
+				uniforms: {
+					color: { value: new THREE.Color(color) },
+					sunsetColor: { value: SUNSET_COLOR },
+					sunPosition,
+					sunIntensity,
+					rimPower: { value: RIM_POWER },
+					edgeSoftness: { value: EDGE_SOFTNESS },
+					strength: { value: GLOW_STRENGTH },
+				},
+				vertexShader,
+				fragmentShader,
+				blending: THREE.AdditiveBlending,
+				transparent: true,
+				depthWrite: false,
+			});
+			materials.push(material);
+
+			const shell = new THREE.Mesh(geometry, material);
+			shell.scale.setScalar(1 + thickness);
+			return shell;
+		},
+
+		/**
+		 * follow the sun light's position and brightness (per-frame)
+		 * @param {Object} light - the light the bodies are lit by
+		 */
+		update(light) {
+			light.getWorldPosition(sunPosition.value);
+			sunIntensity.value = light.intensity;
+		},
+
+		dispose() {
+			geometry.dispose();
+			materials.forEach(material => material.dispose());
+		},
+	};
+}
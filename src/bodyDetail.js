@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+
+// ---------------------
+// body level of detail
+// ---------------------
+// sphere tessellation by on-screen radius in css pixels, most detailed first;
+// each level is used while the body's radius is at least radiusPx
+const DETAIL_LEVELS = [
+	{ radiusPx: 150, widthSegments: 128, heightSegments: 64 },
+	{ radiusPx: 40, widthSegments: 64, heightSegments: 32 },
+	{ radiusPx: 8, widthSegments: 32, heightSegments: 16 },
+	{ radiusPx: 1, widthSegments: 12, heightSegments: 8 },
+];
+const LOD_HYSTERESIS = 0.1; // fraction of a switch distance a level holds on for, so bodies don't flicker between levels
+const IMPOSTOR_SIZE_PX = 3; // diameter of the dot drawn in place of a body smaller than a pixel
+const DOT_TEXTURE_SIZE = 32;
+
+/**
+ * create the shared geometry for every body's detail levels
+ * @returns {Object} { create, update, dispose }
+ */
+export function createBodyDetail() {
+	// unit spheres are shared by all bodies, which are sized through their scale
+	const spheres = DETAIL_LEVELS.map(level => new THREE.SphereGeometry(1, level.widthSegments, level.heightSegments));
+
+	const canvas = document.createElement('canvas');
+	canvas.width = canvas.height = DOT_TEXTURE_SIZE;
+	const ctx = canvas.getContext('2d');
+	const half = DOT_TEXTURE_SIZE / 2;
+	const g = ctx.createRadialGradient(half, half, 0, half, half, half);
+	g.addColorStop(0, 'rgba(255, 255, 255, 1)');
+	g.addColorStop(0.5, 'rgba(255, 255, 255, 0.8)');
+	g.addColorStop(1, 'rgba(255, 255, 255, 0)');
+	ctx.fillStyle = g;
+	ctx.fillRect(0, 0, DOT_TEXTURE_SIZE, DOT_TEXTURE_SIZE);
+	const dotTexture = new THREE.CanvasTexture(canvas);
+
+	return {
+		/**
+		 * build a body as a THREE.LOD of unit spheres sharing one material, ending in a dot impostor
+		 * @param {Object} material - the body's surface material
+		 * @param {Object} options - { color, castShadow, receiveShadow, renderOrder }, color is the impostor's css color
+		 * @returns {Object} the LOD object, sized through its scale like a unit sphere
+		 */
+		create(material, { color, castShadow = false, receiveShadow = false, renderOrder = 0 }) {
+			const lod = new THREE.LOD();
+			for (const geometry of spheres) {
+				const mesh = new THREE.Mesh(geometry, material);
+				mesh.castShadow = castShadow;
+				mesh.receiveShadow = receiveShadow;
+				mesh.renderOrder = renderOrder;
+				lod.addLevel(mesh, 0, LOD_HYSTERESIS);
+			}
+
+			// billboard kept a few pixels wide so bodies far smaller than a pixel stay visible
+			const impostor = new THREE.Sprite(new THREE.SpriteMaterial({
+				map: dotTexture,
+				color,
+				sizeAttenuation: false,
+				depthWrite: false,
+			}));
+			lod.addLevel(impostor, 0, LOD_HYSTERESIS);
+			return lod;
+		},
+
+		/**
+		 * move a body's switch distances to match its scene radius and the camera projection (per-frame)
+		 * @param {Object} lod - LOD object from create
+		 * @param {number} radius - body radius in scene units
+		 * @param {number} focalPx - camera focal length in css pixels
+		 */
+		update(lod, radius, focalPx) {
+			// level i takes over once the body's radius drops below the previous level's radiusPx
+			for (let i = 1; i < lod.levels.length; i++) {
+				lod.levels[i].distance = radius * focalPx / DETAIL_LEVELS[i - 1].radiusPx;
+			}
+
+			// the sprite's size in pixels is its world scale times the focal length, and it inherits the body's scale
+			const impostor = lod.levels[lod.levels.length - 1].object;
+			impostor.scale.setScalar(IMPOSTOR_SIZE_PX / (focalPx * radius));
+		},
+
+		dispose() {
+			spheres.forEach(geometry => geometry.dispose());
+			dotTexture.dispose();
+		},
+	};
+}
@@ -0,0 +1,174 @@
+import * as THREE from 'three';
+import { easeInOutCubic } from './easing.js';
+
+// ---------------------
+// click-to-focus camera
+// ---------------------
+const FLY_SECONDS = 1.6; // duration of the fly-to and return flights
+const FOCUS_RADII = 5; // framing distance in body radii
+const MIN_FOCUS_DISTANCE = 1e-4; // floor for bodies whose scene radius collapses to almost nothing
+const FOCUS_ELEVATION = 0.3; // upward bias of the viewing direction when framing a body
+
+/**
+ * create a controller that flies the camera to a body, follows it, and flies back to a home pose
+ * @param {Object} camera - the PerspectiveCamera to drive, or any Object3D used as a camera rig
+ * @param {Object} home - Object3D whose pose the camera returns to when focus is released,
+ * with an optional userData.fov to restore the field of view
+ * @returns {Object} the focus controller
+ */
+export function createCameraFocus(camera, home) {
+	const bodyPos = new THREE.Vector3();
+	const goalPos = new THREE.Vector3();
+	const goalQuat = new THREE.Quaternion();
+	const startPos = new THREE.Vector3();
+	const startQuat = new THREE.Quaternion();
+	let startFov = camera.fov;
+	const lookMatrix = new THREE.Matrix4();
+	const offset = new THREE.Vector3(); // unit direction from the focused body to the camera
+	const listeners = new Set();
+
+	let elapsed = 0;
+
+	const focus = {
+		mode: 'idle', // 'idle' | 'flying' | 'following' | 'returning'
+		target: null, // body object currently focused
+
+		/**
+		 * @returns {boolean} whether the controller owns the camera this frame
+		 */
+		get active() {
+			return focus.mode !== 'idle';
+		},
+
+		/**
+		 * start flying towards a body and keep following it once there
+		 * @param {Object} obj - body object from bodyObjects
+		 */
+		focusOn(obj) {
+			obj.body.getWorldPosition(bodyPos);
+
+			// keep roughly the current viewing direction, lifted slightly so the body isn't edge on
+			offset.subVectors(camera.position, bodyPos).normalize();
+			offset.y += FOCUS_ELEVATION;
+			offset.normalize();
+
+			focus.target = obj;
+			setMode('flying');
+		},
+
+		/**
+		 * stop following and fly back to the home pose
+		 */
+		release() {
+			if (!focus.active || focus.mode === 'returning') return;
+			focus.target = null;
+			setMode('returning');
+		},
+
+		/**
+		 * fly back to the home pose from wherever something else, such as explore mode, left the camera
+		 */
+		returnHome() {
+			focus.target = null;
+			setMode('returning');
+		},
+
+		/**
+		 * move the camera for this frame
+		 * @param {number} dt - real seconds since the last frame
+		 */
+		update(dt) {
+			if (!focus.active) return;
+
+			if (focus.target) {
+				focus.target.body.getWorldPosition(bodyPos);
+				// framing distance is re-read every frame since the body's scene size can change
+				const distance = Math.max(focus.target.radius * FOCUS_RADII, MIN_FOCUS_DISTANCE);
+				goalPos.copy(offset).multiplyScalar(distance).add(bodyPos);
+				lookMatrix.lookAt(goalPos, bodyPos, camera.up);
+				goalQuat.setFromRotationMatrix(lookMatrix);
+			} else {
+				home.getWorldPosition(goalPos);
+				home.getWorldQuaternion(goalQuat);
+			}
+
+			if (focus.mode === 'following') {
+				camera.position.copy(goalPos);
+				camera.quaternion.copy(goalQuat);
+				return;
+			}
+
+			// the goal keeps moving with the body or the scroll position, so blend towards it every frame
+			elapsed = Math.min(FLY_SECONDS, elapsed + dt);
+			const t = easeInOutCubic(elapsed / FLY_SECONDS);
+			camera.position.lerpVectors(startPos, goalPos, t);
+			camera.quaternion.slerpQuaternions(startQuat, goalQuat, t);
+			if (camera.isPerspectiveCamera && focus.mode === 'returning' && home.userData.fov != null) {
+				camera.fov = THREE.MathUtils.lerp(startFov, home.userData.fov, t);
+				camera.updateProjectionMatrix();
+			}
+
+			if (elapsed >= FLY_SECONDS) setMode(focus.mode === 'flying' ? 'following' : 'idle');
+		},
+
+		/**
+		 * subscribe to focus changes
+		 * @param {Function} fn - called with the controller when the mode changes
+		 * @returns {Function} unsubscribe function
+		 */
+		onChange(fn) {
+			listeners.add(fn);
+			return () => listeners.delete(fn);
+		},
+	};
+
+	/**
+	 * switch modes, restarting the flight from the camera's current pose
+	 * @param {string} mode - the new mode
+	 */
+	function setMode(mode) {
+		startPos.copy(camera.position);
+		startQuat.copy(camera.quaternion);
+		startFov = camera.fov;
+		elapsed = 0;
+		focus.mode = mode;
+		listeners.forEach(fn => fn(focus));
+	}
+
+	return focus;
+}
+
+/**
+ * find the body under a screen point, falling back to the nearest body within a pixel radius
+ * so distant bodies that are only a few pixels wide can still be picked
+ * @param {Object} raycaster - a THREE.Raycaster to reuse
+ * @param {Object} camera - the camera the scene is rendered with
+ * @param {Iterable} bodies - body objects with a `body` mesh or LOD
+ * @param {Object} ndc - pointer in normalized device coordinates
+ * @param {Object} viewport - { width, height } in css pixels
+ * @param {number} radiusPx - fallback pick radius in css pixels
+ * @returns {Object|null} the picked body object
+ */
+export function pickBody(raycaster, camera, bodies, ndc, viewport, radiusPx) {
+	const list = [...bodies];
+	raycaster.setFromCamera(ndc, camera);
+	const hits = raycaster.intersectObjects(list.map(o => o.body), false);
+	// a body may be a THREE.LOD, whose hits report the level object rather than the body itself
+	if (hits.length) return list.find(o => o.body === hits[0].object || o.body === hits[0].object.parent) || null;
+
+	const projected = new THREE.Vector3();
+	let best = null;
+	let bestDist = radiusPx;
+	for (const obj of list) {
+		obj.body.getWorldPosition(projected).project(camera);
+		if (projected.z > 1) continue; // behind the camera
+		const dx = (projected.x - ndc.x) * viewport.width / 2;
+		const dy = (projected.y - ndc.y) * viewport.height / 2;
+		const d = Math.hypot(dx, dy);
+		if (d < bestDist) {
+			best = obj;
+			bestDist = d;
+		}
+	}
+	return best;
+}
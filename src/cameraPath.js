@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { easeInOutCubic } from './easing.js';
+
+// ---------------------
+// keyframed scroll camera path
+// ---------------------
+const SECTION_ANCHOR = 0.5; // fraction of the viewport height where section keyframes are reached
+
+/**
+ * uniform Catmull-Rom interpolation of one component
+ * @param {number} t - progress between p1 and p2, 0 to 1
+ * @param {number} p0 - point before the segment
+ * @param {number} p1 - segment start
+ * @param {number} p2 - segment end
+ * @param {number} p3 - point after the segment
+ * @returns {number} the interpolated value
+ */
+function catmullRom(t, p0, p1, p2, p3) {
+	const v0 = (p2 - p0) * 0.5;
+	const v1 = (p3 - p1) * 0.5;
+	const t2 = t * t;
+	const t3 = t * t2;
+	return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+/**
+ * create a camera path through keyframes tied to scroll offsets or page sections
+ * @param {Array} keyframes - keyframes as described in data/cameraPath.js
+ * @param {Object} resolver - converts keyframe coordinates to scene units
+ * @param {Function} resolver.resolveBody - maps a body id to { position, radius } in scene units
+ * @param {Function} resolver.mapPoint - converts a free keyframe point in AU to scene units in place
+ * @returns {Object} { layout, evaluate } to recompute anchors and pose the camera rig
+ */
+export function createCameraPath(keyframes, { resolveBody, mapPoint }) {
+	const positions = keyframes.map(() => new THREE.Vector3());
+	const targets = keyframes.map(() => new THREE.Vector3());
+	const position = new THREE.Vector3();
+	const target = new THREE.Vector3();
+	const lookMatrix = new THREE.Matrix4();
+	let offsets = [];
+
+	/**
+	 * resolve a keyframe point into scene coordinates for this frame
+	 * @param {Object} keyframe - the keyframe
+	 * @param {number[]} point - position or lookAt of the keyframe
+	 * @param {Object} out - vector to write into
+	 */
+	function resolvePoint(keyframe, point, out) {
+		out.fromArray(point);
+		if (!keyframe.body) {
+			mapPoint(out);
+			return;
+		}
+		const body = resolveBody(keyframe.body);
+		out.multiplyScalar(body.radius).add(body.position);
+	}
+
+	/**
+	 * recompute the scroll offset of every keyframe; call after layout or viewport changes
+	 */
+	function layout() {
+		const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+		let previous = 0;
+		offsets = keyframes.map(k => {
+			let offset = k.scroll ?? 0;
+			if (k.section) {
+				const el = document.querySelector(k.section);
+				offset = el ? el.getBoundingClientRect().top + window.scrollY - window.innerHeight * SECTION_ANCHOR : previous;
+			}
+			// keep offsets increasing and reachable even on short viewports
+			previous = THREE.MathUtils.clamp(offset, previous, Math.max(previous, maxScroll));
+			return previous;
+		});
+	}
+
+	/**
+	 * pose a camera rig for a scroll offset
+	 * @param {number} scrollY - current scroll offset in pixels
+	 * @param {Object} rig - Object3D that receives the position and orientation
+	 * @returns {number} the field of view in degrees at this offset
+	 */
+	function evaluate(scrollY, rig) {
+		keyframes.forEach((k, i) => {
+			resolvePoint(k, k.position, positions[i]);
+			resolvePoint(k, k.lookAt, targets[i]);
+		});
+
+		const last = keyframes.length - 1;
+		let i = 0;
+		while (i < last - 1 && scrollY >= offsets[i + 1]) i++;
+
+		const span = offsets[i + 1] - offsets[i];
+		const raw = span > 0 ? THREE.MathUtils.clamp((scrollY - offsets[i]) / span, 0, 1) : 1;
+		// easing makes the camera settle on each keyframe instead of sweeping through it
+		const t = easeInOutCubic(raw);
+
+		const i0 = Math.max(0, i - 1);
+		const i2 = Math.min(last, i + 1);
+		const i3 = Math.min(last, i + 2);
+		for (const [points, out] of [[positions, position], [targets, target]]) {
+			out.set(
+				catmullRom(t, points[i0].x, points[i].x, points[i2].x, points[i3].x),
+				catmullRom(t, points[i0].y, points[i].y, points[i2].y, points[i3].y),
+				catmullRom(t, points[i0].z, points[i].z, points[i2].z, points[i3].z),
+			);
+		}
+
+		rig.position.copy(position);
+		lookMatrix.lookAt(position, target, rig.up);
+		rig.quaternion.setFromRotationMatrix(lookMatrix);
+
+		return THREE.MathUtils.lerp(keyframes[i].fov, keyframes[i2].fov, t);
+	}
+
+	return { layout, evaluate };
+}
@@ -0,0 +1,84 @@
+// ---------------------
+// simulation clock
+// ---------------------
+const MS_PER_DAY = 86400000;
+
+/**
+ * create a clock that tracks simulated time independently of the wall clock
+ * @param {Object} options - initial clock state
+ * @param {Date|number} options.epoch - starting date or timestamp in ms, defaults to now
+ * @param {number} options.rate - simulated days per real second, negative runs backwards
+ * @param {boolean} options.paused - whether the clock starts paused
+ * @param {number} options.min - earliest timestamp in ms the clock can reach
+ * @param {number} options.max - latest timestamp in ms the clock can reach
+ * @returns {Object} the created clock
+ */
+export function createSimulationClock({ epoch = Date.now(), rate = 1, paused = false, min = -Infinity, max = Infinity } = {}) {
+	const listeners = new Set();
+	const notify = () => listeners.forEach(fn => fn(clock));
+	const clamp = ms => Math.min(max, Math.max(min, ms));
+
+	const clock = {
+		epochMs: clamp(+epoch),
+		rate,
+		paused,
+		min,
+		max,
+
+		/**
+		 * advance simulated time
+		 * @param {number} seconds - real seconds elapsed since the last tick
+		 */
+		tick(seconds) {
+			if (clock.paused || clock.rate === 0) return;
+			const epochMs = clock.epochMs + seconds * clock.rate * MS_PER_DAY;
+			clock.epochMs = clamp(epochMs);
+			// stop at either end of the range rather than sit there with the clock running
+			if (clock.epochMs !== epochMs) clock.setPaused(true);
+		},
+
+		/**
+		 * @returns {Date} the current simulated date
+		 */
+		date() {
+			return new Date(clock.epochMs);
+		},
+
+		/**
+		 * jump to a specific date
+		 * @param {Date|number} date - date or timestamp in ms
+		 */
+		setDate(date) {
+			clock.epochMs = clamp(+date);
+			notify();
+		},
+
+		/**
+		 * @param {number} rate - simulated days per real second, negative runs backwards
+		 */
+		setRate(rate) {
+			clock.rate = rate;
+			notify();
+		},
+
+		/**
+		 * @param {boolean} paused - whether simulated time should stop
+		 */
+		setPaused(paused) {
+			clock.paused = paused;
+			notify();
+		},
+
+		/**
+		 * subscribe to rate, pause and date changes (not to per-frame ticks)
+		 * @param {Function} fn - called with the clock
+		 * @returns {Function} unsubscribe function
+		 */
+		onChange(fn) {
+			listeners.add(fn);
+			return () => listeners.delete(fn);
+		},
+	};
+
+	return clock;
+}
@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { equatorialToScene } from './coordinates.js';
+import { SKY_RADIUS } from './starfield.js';
+
+// ---------------------
+// constellation overlay
+// ---------------------
+const LINE_COLOR = new THREE.Color(0x4a6a9a);
+const TOGGLE_FADE_SECONDS = 0.6; // time for the overlay to fade fully in or out after toggling
+
+/**
+ * create constellation stick figures on the sky sphere, with an html name label per figure
+ * @param {Array} constellations - entries from data/constellations.js
+ * @param {Array} stars - catalog entries from data/stars.js that the figures refer to by name
+ * @param {HTMLElement} layer - fixed, full-viewport element the name labels are added to
+ * @returns {Object} the overlay controller; add its object as a child of the starfield so it stays at infinity
+ */
+export function createConstellations(constellations, stars, layer) {
+	const directions = new Map(stars.map(([name, raHours, decDeg]) => [name, equatorialToScene(raHours, decDeg)]));
+
+	const vertices = [];
+	const labels = constellations.map(({ name, lines }) => {
+		const members = new Set();
+		for (const line of lines) {
+			for (let i = 1; i < line.length; i++) {
+				vertices.push(...directions.get(line[i - 1]).toArray(), ...directions.get(line[i]).toArray());
+			}
+			line.forEach(star => members.add(star));
+		}
+
+		// names sit at the mean direction of the figure's stars
+		const center = new THREE.Vector3();
+		members.forEach(star => center.add(directions.get(star)));
+		center.normalize().multiplyScalar(SKY_RADIUS);
+
+		const el = document.createElement('span');
+		el.className = 'constellation-label';
+		el.textContent = name;
+		layer.append(el);
+		return { el, center };
+	});
+
+	const geometry = new THREE.BufferGeometry();
+	geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+	geometry.scale(SKY_RADIUS, SKY_RADIUS, SKY_RADIUS);
+
+	// like the stars, additive in the opaque pass so the bodies paint over it; fading scales the color
+	const material = new THREE.LineBasicMaterial({
+		color: LINE_COLOR.clone(),
+		blending: THREE.AdditiveBlending,
+		depthTest: false,
+		depthWrite: false,
+	});
+
+	const object = new THREE.LineSegments(geometry, material);
+	object.name = 'constellations';
+	object.renderOrder = -1;
+	object.frustumCulled = false;
+
+	const world = new THREE.Vector3();
+	const ndc = new THREE.Vector3();
+	let fade = 0; // toggle fade, 0 to 1
+
+	const overlay = {
+		object,
+		visible: false,
+
+		/**
+		 * fade the overlay in or out
+		 * @param {boolean} visible - whether the figures should be shown
+		 */
+		setVisible(visible) {
+			overlay.visible = visible;
+		},
+
+		/**
+		 * fade and position the figures and their names for this frame
+		 * @param {Object} camera - the camera the scene is rendered with
+		 * @param {Object} viewport - { width, height } in css pixels
+		 * @param {number} zoomFade - 0 to 1, how far the camera is zoomed out of close-ups
+		 * @param {number} dt - real seconds since the last frame
+		 */
+		update(camera, viewport, zoomFade, dt) {
+			const step = dt / TOGGLE_FADE_SECONDS;
+			fade = THREE.MathUtils.clamp(fade + (overlay.visible ? step : -step), 0, 1);
+			const opacity = fade * zoomFade;
+
+			object.visible = opacity > 0;
+			material.color.copy(LINE_COLOR).multiplyScalar(opacity);
+
+			for (const label of labels) {
+				world.copy(label.center).add(camera.position);
+				ndc.copy(world).project(camera);
+				const onScreen = ndc.z < 1 && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+				const shown = onScreen && opacity > 0;
+				label.el.style.visibility = shown ? 'visible' : 'hidden';
+				if (!shown) continue;
+				label.el.style.opacity = opacity;
+				label.el.style.transform =
+					`translate(-50%, -50%) translate(${(ndc.x + 1) / 2 * viewport.width}px, ${(1 - ndc.y) / 2 * viewport.height}px)`;
+			}
+		},
+
+		dispose() {
+			geometry.dispose();
+			material.dispose();
+		},
+	};
+
+	return overlay;
+}
@@ -0,0 +1,60 @@
+import * as THREE from 'three';
+
+// ---------------------
+// coordinate frames
+// ---------------------
+const DEG_TO_RAD = Math.PI / 180;
+const OBLIQUITY_RAD = 23.4392911 * DEG_TO_RAD; // mean obliquity of the ecliptic at J2000
+
+/**
+ * convert a J2000 ecliptic position into scene coordinates (ecliptic north is +y)
+ * @param {Object} p - { x, y, z } ecliptic position
+ * @param {Object} target - vector to write into
+ * @returns {Object} the target vector
+ */
+export function eclipticToScene(p, target = new THREE.Vector3()) {
+	return target.set(p.x, p.z, -p.y);
+}
+
+/**
+ * convert J2000 equatorial coordinates into a unit direction in scene coordinates
+ * @param {number} raHours - right ascension in hours
+ * @param {number} decDeg - declination in degrees
+ * @param {Object} target - vector to write into
+ * @returns {Object} the target vector
+ */
+export function equatorialToScene(raHours, decDeg, target = new THREE.Vector3()) {
+	const ra = raHours * 15 * DEG_TO_RAD;
+	const dec = decDeg * DEG_TO_RAD;
+	const x = Math.cos(dec) * Math.cos(ra);
+	const y = Math.cos(dec) * Math.sin(ra);
+	const z = Math.sin(dec);
+
+	// tilt the equator down onto the ecliptic around the vernal equinox direction (+x)
+	const cos = Math.cos(OBLIQUITY_RAD);
+	const sin = Math.sin(OBLIQUITY_RAD);
+	return eclipticToScene({ x, y: y * cos + z * sin, z: z * cos - y * sin }, target);
+}
+
+// J2000 orientation of the galactic frame
+const GALACTIC_POLE_RA_RAD = 192.85948 * DEG_TO_RAD;
+const GALACTIC_POLE_DEC_RAD = 27.12825 * DEG_TO_RAD;
+const CELESTIAL_POLE_L_RAD = 122.93192 * DEG_TO_RAD; // galactic longitude of the north celestial pole
+
+/**
+ * convert galactic coordinates into a unit direction in scene coordinates
+ * @param {number} lDeg - galactic longitude in degrees
+ * @param {number} bDeg - galactic latitude in degrees
+ * @param {Object} target - vector to write into
+ * @returns {Object} the target vector
+ */
+export function galacticToScene(lDeg, bDeg, target = new THREE.Vector3()) {
+	const dl = CELESTIAL_POLE_L_RAD - lDeg * DEG_TO_RAD;
+	const b = bDeg * DEG_TO_RAD;
+	const sinDec = Math.sin(b) * Math.sin(GALACTIC_POLE_DEC_RAD) + Math.cos(b) * Math.cos(GALACTIC_POLE_DEC_RAD) * Math.cos(dl);
+	const ra = GALACTIC_POLE_RA_RAD + Math.atan2(
+		Math.cos(b) * Math.sin(dl),
+		Math.sin(b) * Math.cos(GALACTIC_POLE_DEC_RAD) - Math.cos(b) * Math.sin(GALACTIC_POLE_DEC_RAD) * Math.cos(dl),
+	);
+	return equatorialToScene(ra / DEG_TO_RAD / 15, Math.asin(sinDec) / DEG_TO_RAD, target);
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { daysSinceJ2000 } from './ephemeris.js';
+
+// ---------------------
+// earth day/night surface
+// ---------------------
+const TWO_PI = Math.PI * 2;
+const NIGHT_LIGHTS_INTENSITY = 1.5;
+// sun elevation, as the cosine of the angle from the surface normal, over which city lights fade out
+const TWILIGHT_START = -0.15;
+const TWILIGHT_END = 0.1;
+const OCEAN_ROUGHNESS = 0.3; // low enough for the sun to glint off water where the specular mask is white
+const CLOUD_ALTITUDE = 0.008; // cloud shell height as a fraction of the radius
+const CLOUD_DRIFT_DAYS = 20; // simulated days for the clouds to drift once around relative to the surface
+const CLOUD_SEGMENTS = 64;
+
+/**
+ * turn a body's standard material into a day/night surface: city lights on the night side,
+ * shiny oceans, and a cloud shell that drifts over the ground
+ * @param {Object} material - the body's MeshStandardMaterial, with the daytime map
+ * @param {Object} maps - { night, specular, clouds } textures; black images disable each effect
+ * @returns {Object} { clouds, update, dispose }; add clouds as a child of the body
+ */
+export function createEarthSurface(material, { night, specular, clouds: cloudMap }) {
+	const sunPosition = { value: new THREE.Vector3() };
+
+	material.onBeforeCompile = (shader) => {
+		shader.uniforms.nightMap = { value: night };
+		shader.uniforms.specularMask = { value: specular };
+		shader.uniforms.sunPosition = sunPosition;
+
+		shader.vertexShader = shader.vertexShader
+			.replace('#include <common>', `#include <common>
+				varying vec3 vSurfaceWorldPosition;
+				varying vec3 vSurfaceWorldNormal;`)
+			.replace('#include <project_vertex>', `#include <project_vertex>
+				vSurfaceWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+				vSurfaceWorldNormal = normalize(mat3(modelMatrix) * objectNormal);`);
+
+		shader.fragmentShader = shader.fragmentShader
+			.replace('#include <common>', `#include <common>
+				uniform sampler2D nightMap;
+				uniform sampler2D specularMask;
+				uniform vec3 sunPosition;
+				varying vec3 vSurfaceWorldPosition;
+				varying vec3 vSurfaceWorldNormal;`)
+			// oceans are smoother than land, so the point light leaves a highlight on them
+			.replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+				roughnessFactor = mix(roughnessFactor, ${OCEAN_ROUGHNESS.toFixed(3)}, texture2D(specularMask, vMapUv).g);`)
+			// city lights fade in across the terminator, from the geometric normal so relief maps don't speckle them
+			.replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+				float sunAngle = dot(normalize(vSurfaceWorldNormal), normalize(sunPosition - vSurfaceWorldPosition));
+				float nightSide = 1.0 - smoothstep(${TWILIGHT_START.toFixed(3)}, ${TWILIGHT_END.toFixed(3)}, sunAngle);
+				totalEmissiveRadiance += texture2D(nightMap, vMapUv).rgb * ${NIGHT_LIGHTS_INTENSITY.toFixed(3)} * nightSide;`);
+	};
+
+	const cloudGeometry = new THREE.SphereGeometry(1, CLOUD_SEGMENTS, CLOUD_SEGMENTS / 2);
+	const cloudMaterial = new THREE.MeshStandardMaterial({
+		color: 0xffffff,
+		alphaMap: cloudMap,
+		transparent: true,
+		depthWrite: false,
+	});
+	const clouds = new THREE.Mesh(cloudGeometry, cloudMaterial);
+	clouds.scale.setScalar(1 + CLOUD_ALTITUDE);
+	clouds.receiveShadow = true;
+
+	return {
+		clouds,
+
+		/**
+		 * follow the sun light and drift the clouds (per-frame)
+		 * @param {Object} light - the light the bodies are lit by
+		 * @param {Date|number} date - simulation date or timestamp in ms
+		 * @param {number} spinScale - the same slow-down applied to body spin
+		 */
+		update(light, date, spinScale) {
+			light.getWorldPosition(sunPosition.value);
+			clouds.rotation.y = (TWO_PI * daysSinceJ2000(date) * spinScale / CLOUD_DRIFT_DAYS) % TWO_PI;
+		},
+
+		dispose() {
+			cloudGeometry.dispose();
+			cloudMaterial.dispose();
+		},
+	};
+}
@@ -0,0 +1,12 @@
+// ---------------------
+// easing curves
+// ---------------------
+
+/**
+ * smooth start and stop easing
+ * @param {number} t - progress from 0 to 1
+ * @returns {number} eased progress from 0 to 1
+ */
+export function easeInOutCubic(t) {
+	return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
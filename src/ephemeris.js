@@ -0,0 +1,104 @@
+import { wrapAngle, orbitalPlanePosition, ellipsePoints } from './kepler.js';
+
+// ---------------------
+// ephemeris from mean orbital elements
+// ---------------------
+const TWO_PI = Math.PI * 2;
+const DEG_TO_RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+// J2000.0 epoch, 2000-01-01 12:00 UTC (the TT/UTC offset is well below what the scene can show)
+export const J2000_MS = Date.UTC(2000, 0, 1, 12);
+
+// the approximate planet elements are fitted to 1800-2050, and dates well outside that drift off
+export const EPHEMERIS_RANGE = { min: Date.UTC(1800, 0, 1), max: Date.UTC(2050, 11, 31) };
+
+/**
+ * days elapsed since the J2000.0 epoch
+ * @param {Date|number} date - date or timestamp in ms
+ * @returns {number} days since J2000.0, negative before the epoch
+ */
+export function daysSinceJ2000(date) {
+	return (+date - J2000_MS) / MS_PER_DAY;
+}
+
+/**
+ * mean anomaly of a body on a given date, propagated from its J2000 value
+ * @param {Object} body - body entry from BODIES
+ * @param {Date|number} date - date or timestamp in ms
+ * @returns {number} mean anomaly in radians, 0 for bodies without an orbit
+ */
+export function meanAnomalyAt(body, date) {
+	if (body.orbitalDays == null) return 0;
+	const M0 = (body.meanAnomalyDeg || 0) * DEG_TO_RAD;
+	return wrapAngle(M0 + TWO_PI * daysSinceJ2000(date) / body.orbitalDays);
+}
+
+/**
+ * spin angle of a body on a given date, measured from its J2000 orientation
+ * @param {Object} body - body entry from BODIES
+ * @param {Date|number} date - date or timestamp in ms
+ * @param {number} timeScale - multiplier on elapsed time, < 1 slows the spin down
+ * @returns {number} rotation angle in radians, negative rotationDays spin backwards
+ */
+export function rotationAngleAt(body, date, timeScale = 1) {
+	return (TWO_PI * daysSinceJ2000(date) * timeScale / body.rotationDays) % TWO_PI;
+}
+
+/**
+ * rotate a point from the orbital plane (x towards perihelion) into the ecliptic frame
+ * @param {number} x - orbital plane x
+ * @param {number} y - orbital plane y
+ * @param {Object} body - body entry from BODIES
+ * @returns {Object} { x, y, z } in the J2000 ecliptic frame
+ */
+export function orbitalPlaneToEcliptic(x, y, body) {
+	const node = (body.ascendingNodeDeg || 0) * DEG_TO_RAD;
+	const incl = (body.inclinationDeg || 0) * DEG_TO_RAD;
+	const peri = (body.perihelionArgDeg || 0) * DEG_TO_RAD;
+
+	const cosO = Math.cos(node), sinO = Math.sin(node);
+	const cosI = Math.cos(incl), sinI = Math.sin(incl);
+	const cosW = Math.cos(peri), sinW = Math.sin(peri);
+
+	return {
+		x: (cosO * cosW - sinO * sinW * cosI) * x + (-cosO * sinW - sinO * cosW * cosI) * y,
+		y: (sinO * cosW + cosO * sinW * cosI) * x + (-sinO * sinW + cosO * cosW * cosI) * y,
+		z: (sinW * sinI) * x + (cosW * sinI) * y,
+	};
+}
+
+/**
+ * ecliptic position of a body relative to its parent (heliocentric for planets) for a given mean anomaly
+ * @param {Object} body - body entry from BODIES
+ * @param {number} semiMajorAxis - semi-major axis in the desired output unit
+ * @param {number} meanAnomaly - mean anomaly in radians
+ * @returns {Object} { x, y, z } in the J2000 ecliptic frame
+ */
+export function orbitalPosition(body, semiMajorAxis, meanAnomaly) {
+	const p = orbitalPlanePosition(semiMajorAxis, body.eccentricity, meanAnomaly);
+	return orbitalPlaneToEcliptic(p.x, p.y, body);
+}
+
+/**
+ * ecliptic position of a body relative to its parent (heliocentric for planets) on a given date
+ * @param {Object} body - body entry from BODIES
+ * @param {Date|number} date - date or timestamp in ms
+ * @param {number} semiMajorAxis - semi-major axis in the desired output unit, defaults to km
+ * @returns {Object} { x, y, z } in the J2000 ecliptic frame
+ */
+export function positionAt(body, date, semiMajorAxis = body.distKm) {
+	return orbitalPosition(body, semiMajorAxis, meanAnomalyAt(body, date));
+}
+
+/**
+ * sample the full orbit ellipse of a body in the ecliptic frame
+ * @param {Object} body - body entry from BODIES
+ * @param {number} semiMajorAxis - semi-major axis in the desired output unit
+ * @param {number} segments - number of points to sample
+ * @returns {Array} array of { x, y, z } points
+ */
+export function orbitPath(body, semiMajorAxis, segments) {
+	return ellipsePoints(semiMajorAxis, body.eccentricity, segments)
+		.map(p => orbitalPlaneToEcliptic(p.x, p.y, body));
+}
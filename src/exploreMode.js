@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+// ---------------------
+// free-flight explore mode
+// ---------------------
+const DEFAULT_TARGET_DISTANCE = 50; // orbit pivot distance ahead of the camera when no body is picked
+
+/**
+ * create orbit controls that take over the camera while exploring
+ * (drag to rotate, wheel or pinch to zoom, right-drag or two-finger drag to pan)
+ * @param {Object} camera - the PerspectiveCamera to drive
+ * @param {HTMLElement} domElement - element that receives the pointer input
+ * @returns {Object} the explore mode controller
+ */
+export function createExploreMode(camera, domElement) {
+	const controls = new OrbitControls(camera, domElement);
+	controls.enabled = false;
+	controls.enableDamping = true;
+	controls.dampingFactor = 0.08;
+	controls.minDistance = 1e-4; // true-scale bodies can be far smaller than a scene unit
+	controls.maxDistance = camera.far / 2;
+
+	const followed = new THREE.Vector3();
+	const delta = new THREE.Vector3();
+	const listeners = new Set();
+	let followBody = null;
+
+	const explore = {
+		active: false,
+
+		/**
+		 * hand the camera to the orbit controls
+		 * @param {Object|null} obj - body object to orbit around, or null for a point ahead of the camera
+		 */
+		enter(obj = null) {
+			explore.active = true;
+			controls.enabled = true;
+			explore.orbit(obj);
+			listeners.forEach(fn => fn(explore));
+		},
+
+		/**
+		 * give the camera back; the caller restores its own pose
+		 */
+		exit() {
+			explore.active = false;
+			controls.enabled = false;
+			followBody = null;
+			listeners.forEach(fn => fn(explore));
+		},
+
+		/**
+		 * move the orbit pivot onto a body, which the camera then travels along with
+		 * @param {Object|null} obj - body object, or null for a point ahead of the camera
+		 */
+		orbit(obj) {
+			followBody = obj;
+			if (obj) {
+				obj.body.getWorldPosition(followed);
+				controls.target.copy(followed);
+			} else {
+				camera.getWorldDirection(controls.target);
+				controls.target.multiplyScalar(DEFAULT_TARGET_DISTANCE).add(camera.position);
+			}
+		},
+
+		/**
+		 * apply input and body motion for this frame
+		 */
+		update() {
+			if (!explore.active) return;
+
+			// carry the camera along with the orbited body so it doesn't drift out of view
+			if (followBody) {
+				followBody.body.getWorldPosition(delta);
+				delta.sub(followed);
+				followed.add(delta);
+				controls.target.add(delta);
+				camera.position.add(delta);
+			}
+			controls.update();
+		},
+
+		/**
+		 * subscribe to explore mode changes
+		 * @param {Function} fn - called with the controller when explore mode is entered or left
+		 * @returns {Function} unsubscribe function
+		 */
+		onChange(fn) {
+			listeners.add(fn);
+			return () => listeners.delete(fn);
+		},
+
+		dispose() {
+			controls.dispose();
+		},
+	};
+
+	return explore;
+}
@@ -0,0 +1,105 @@
+// ---------------------
+// body info panel
+// ---------------------
+const KM_PER_AU = 149597870.7;
+
+const TYPE_LABELS = {
+	star: 'Star',
+	planet: 'Planet',
+	dwarf: 'Dwarf planet',
+	moon: 'Moon',
+};
+
+const numberFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
+const decimalFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * format a period given in days, using hours or years when they read better
+ * @param {number} days - period in Earth days, sign is ignored
+ * @returns {string} the formatted period
+ */
+function formatPeriod(days) {
+	const d = Math.abs(days);
+	if (d < 2) return `${decimalFormat.format(d * 24)} hours`;
+	if (d > 730) return `${decimalFormat.format(d / 365.25)} years`;
+	return `${decimalFormat.format(d)} days`;
+}
+
+/**
+ * format a distance from the parent body, adding AU for bodies orbiting the Sun
+ * @param {Object} data - body entry from BODIES
+ * @returns {string} the formatted distance
+ */
+function formatDistance(data) {
+	const km = `${numberFormat.format(data.distKm)} km`;
+	return data.parent === 'sun' ? `${km} (${decimalFormat.format(data.distKm / KM_PER_AU)} AU)` : km;
+}
+
+/**
+ * list the facts shown for a body, skipping fields that are null
+ * @param {Object} data - body entry from BODIES
+ * @param {Function} nameOf - maps a body id to its display name
+ * @returns {Array} array of [label, value] pairs
+ */
+function bodyFacts(data, nameOf) {
+	const facts = [
+		['Radius', `${numberFormat.format(data.radiusKm)} km`],
+		['Day length', data.rotationDays == null ? null :
+			formatPeriod(data.rotationDays) + (data.rotationDays < 0 ? ' (retrograde)' : '')],
+		['Axial tilt', data.axialTiltDeg == null ? null : `${decimalFormat.format(data.axialTiltDeg)}°`],
+	];
+
+	if (data.parent) {
+		facts.push(
+			['Orbits', nameOf(data.parent)],
+			['Distance', formatDistance(data)],
+			['Orbital period', data.orbitalDays == null ? null : formatPeriod(data.orbitalDays)],
+			['Orbital speed', data.orbitalSpeedKmS == null ? null : `${decimalFormat.format(data.orbitalSpeedKmS)} km/s`],
+			['Eccentricity', data.eccentricity == null ? null : String(data.eccentricity)],
+			['Inclination', data.inclinationDeg == null ? null : `${decimalFormat.format(data.inclinationDeg)}°`],
+		);
+	}
+
+	return facts.filter(([, value]) => value != null);
+}
+
+/**
+ * create the info card shown for the hovered or selected body
+ * @param {HTMLElement} root - panel element containing the card markup
+ * @param {Function} nameOf - maps a body id to its display name
+ * @returns {Object} { show, hide } to update the panel
+ */
+export function createInfoPanel(root, nameOf) {
+	const title = root.querySelector('.info-title');
+	const type = root.querySelector('.info-type');
+	const list = root.querySelector('.info-facts');
+	let shown = null;
+
+	return {
+		/**
+		 * @param {Object} data - body entry from BODIES to describe
+		 */
+		show(data) {
+			root.hidden = false;
+			if (data === shown) return;
+			shown = data;
+
+			title.textContent = data.name;
+			type.textContent = TYPE_LABELS[data.type] || '';
+
+			list.replaceChildren(...bodyFacts(data, nameOf).map(([label, value]) => {
+				const item = document.createElement('li');
+				const b = document.createElement('b');
+				b.textContent = `${label}: `;
+				item.append(b, value);
+				// retrograde spin is worth calling out
+				if (value.endsWith('(retrograde)')) item.classList.add('info-retrograde');
+				return item;
+			}));
+		},
+
+		hide() {
+			root.hidden = true;
+		},
+	};
+}
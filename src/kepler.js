@@ -0,0 +1,77 @@
+// ---------------------
+// keplerian orbit helpers
+// ---------------------
+const TWO_PI = Math.PI * 2;
+
+const KEPLER_TOLERANCE = 1e-10; // radians, convergence threshold for Newton's method
+const KEPLER_MAX_ITER = 30;
+
+/**
+ * wrap an angle into the range [0, 2π)
+ * @param {number} angle - angle in radians
+ * @returns {number} the wrapped angle in radians
+ */
+export function wrapAngle(angle) {
+	const a = angle % TWO_PI;
+	return a < 0 ? a + TWO_PI : a;
+}
+
+/**
+ * solve Kepler's equation M = E - e sin(E) for the eccentric anomaly
+ * @param {number} meanAnomaly - mean anomaly in radians
+ * @param {number} eccentricity - orbital eccentricity, 0 <= e < 1
+ * @returns {number} the eccentric anomaly in radians
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+	const M = wrapAngle(meanAnomaly);
+	const e = eccentricity;
+
+	// starting at π for high eccentricities avoids Newton overshooting near perihelion
+	let E = e < 0.8 ? M : Math.PI;
+	for (let i = 0; i < KEPLER_MAX_ITER; i++) {
+		const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+		E -= delta;
+		if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+	}
+	return E;
+}
+
+/**
+ * position of a body in its orbital plane, with the focus (parent body) at the origin
+ * and the x axis pointing towards periapsis
+ * @param {number} semiMajorAxis - semi-major axis in any length unit
+ * @param {number} eccentricity - orbital eccentricity
+ * @param {number} meanAnomaly - mean anomaly in radians
+ * @returns {Object} { x, y } in the same unit as semiMajorAxis
+ */
+export function orbitalPlanePosition(semiMajorAxis, eccentricity, meanAnomaly) {
+	const e = eccentricity || 0;
+	const E = solveKepler(meanAnomaly, e);
+	return {
+		x: semiMajorAxis * (Math.cos(E) - e),
+		y: semiMajorAxis * Math.sqrt(1 - e * e) * Math.sin(E),
+	};
+}
+
+/**
+ * sample points around an orbital ellipse, focus at the origin
+ * @param {number} semiMajorAxis - semi-major axis in any length unit
+ * @param {number} eccentricity - orbital eccentricity
+ * @param {number} segments - number of points to sample
+ * @returns {Array} array of { x, y } points in the orbital plane
+ */
+export function ellipsePoints(semiMajorAxis, eccentricity, segments) {
+	const e = eccentricity || 0;
+	const b = semiMajorAxis * Math.sqrt(1 - e * e);
+	const points = [];
+
+	// sample evenly in eccentric anomaly so the curve stays smooth at both apsides
+	for (let i = 0; i < segments; i++) {
+		const E = (i / segments) * TWO_PI;
+		points.push({
+			x: semiMajorAxis * (Math.cos(E) - e),
+			y: b * Math.sin(E),
+		});
+	}
+	return points;
+}
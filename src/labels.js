@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+// ---------------------
+// screen-space body labels
+// ---------------------
+const LABEL_FADE_SYSTEMS = 1.5; // planet labels fade out at this many times the outermost orbit from the camera
+const MOON_FADE_ORBITS = 40; // moon labels fade out at this many orbit radii from the camera
+const LABEL_GAP_PX = 4; // space between a body's disc and its label
+
+// lower value wins when labels overlap
+const TYPE_PRIORITY = { star: 0, planet: 1, dwarf: 2, moon: 3 };
+
+/**
+ * create one html label per body that tracks the body's projected position
+ * @param {HTMLElement} layer - fixed, full-viewport element the labels are added to
+ * @param {Iterable} bodies - body objects from bodyObjects
+ * @returns {Object} { update, measure } to position labels each frame and after font or layout changes
+ */
+export function createBodyLabels(layer, bodies) {
+	const labels = [...bodies].map(obj => {
+		const el = document.createElement('span');
+		el.className = `body-label body-label-${obj.data.type}`;
+		el.textContent = obj.data.name;
+		layer.append(el);
+		return { obj, el, width: 0, height: 0, x: 0, y: 0, depth: 0, opacity: 0 };
+	});
+
+	const world = new THREE.Vector3();
+	const ndc = new THREE.Vector3();
+	const ray = new THREE.Ray();
+	const hit = new THREE.Vector3();
+	const placed = [];
+
+	/**
+	 * cache label sizes, which only change with fonts and text
+	 */
+	function measure() {
+		for (const label of labels) {
+			label.width = label.el.offsetWidth;
+			label.height = label.el.offsetHeight;
+		}
+	}
+
+	/**
+	 * @param {Object} a - label with x, y, width, height
+	 * @param {Object} b - label with x, y, width, height
+	 * @returns {boolean} whether the two label boxes overlap
+	 */
+	function overlaps(a, b) {
+		return Math.abs(a.x - b.x) * 2 < a.width + b.width && Math.abs(a.y - b.y) * 2 < a.height + b.height;
+	}
+
+	/**
+	 * position, fade and declutter all labels for this frame
+	 * @param {Object} camera - the camera the scene is rendered with
+	 * @param {Object} viewport - { width, height } in css pixels
+	 * @param {Object} occluder - THREE.Sphere that hides labels behind it, e.g. the Sun
+	 */
+	function update(camera, viewport, occluder) {
+		const focalPx = viewport.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+		ray.origin.copy(camera.position);
+		// orbits are resized by the active scale model, so the fade distance follows the outermost one
+		let outermostOrbit = 0;
+		for (const { obj } of labels) {
+			if (!obj.parent && obj.semiMajorAxis) outermostOrbit = Math.max(outermostOrbit, obj.semiMajorAxis);
+		}
+		const planetFadeDistance = outermostOrbit * LABEL_FADE_SYSTEMS;
+
+		const visible = [];
+		for (const label of labels) {
+			const { obj } = label;
+			obj.body.getWorldPosition(world);
+			ndc.copy(world).project(camera);
+
+			const depth = world.distanceTo(camera.position);
+			const fadeDistance = obj.parent ? obj.semiMajorAxis * MOON_FADE_ORBITS : planetFadeDistance;
+			// fully opaque for the first half of the fade distance, then linear to zero
+			label.opacity = THREE.MathUtils.clamp(2 - 2 * depth / fadeDistance, 0, 1);
+
+			const onScreen = ndc.z < 1 && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+			if (!onScreen || label.opacity === 0) continue;
+
+			// hidden when the occluding sphere sits between the camera and the body (the Sun has no parent)
+			if (occluder && obj.data.parent) {
+				ray.direction.subVectors(world, camera.position).normalize();
+				if (ray.intersectSphere(occluder, hit) && hit.distanceTo(camera.position) < depth) continue;
+			}
+
+			const radiusPx = obj.radius / depth * focalPx;
+			label.x = (ndc.x + 1) / 2 * viewport.width;
+			label.y = (1 - ndc.y) / 2 * viewport.height - radiusPx - LABEL_GAP_PX - label.height / 2;
+			label.depth = depth;
+			visible.push(label);
+		}
+
+		// greedily keep the most important, then nearest, labels and drop any that would overlap them
+		visible.sort((a, b) =>
+			(TYPE_PRIORITY[a.obj.data.type] - TYPE_PRIORITY[b.obj.data.type]) || (a.depth - b.depth));
+		placed.length = 0;
+		for (const label of visible) {
+			if (!placed.some(other => overlaps(label, other))) placed.push(label);
+		}
+
+		for (const label of labels) {
+			const shown = placed.includes(label);
+			label.el.style.visibility = shown ? 'visible' : 'hidden';
+			if (!shown) continue;
+			label.el.style.opacity = label.opacity;
+			label.el.style.transform =
+				`translate(${label.x - label.width / 2}px, ${label.y - label.height / 2}px)`;
+		}
+	}
+
+	measure();
+
+	return { update, measure };
+}
@@ -0,0 +1,58 @@
+// ---------------------
+// loading overlay
+// ---------------------
+
+/**
+ * drive a loading overlay from a THREE.LoadingManager: progress while assets load, then either
+ * hide it or, if anything failed, list the failed files until the visitor dismisses it
+ * @param {Object} manager - the THREE.LoadingManager shared by every loader
+ * @param {HTMLElement} root - overlay element with .loading-progress, .loading-status, .loading-failed and a dismiss button
+ * @param {Function} onComplete - called once every asset has loaded or failed
+ */
+export function createLoadingOverlay(manager, root, onComplete) {
+	const progress = root.querySelector('.loading-progress');
+	const status = root.querySelector('.loading-status');
+	const failedList = root.querySelector('.loading-failed');
+	const dismiss = root.querySelector('[data-action="dismiss"]');
+	const failed = [];
+	let complete = false;
+
+	manager.onProgress = (url, loaded, total) => {
+		progress.max = total;
+		progress.value = loaded;
+		status.textContent = `${loaded} / ${total}`;
+	};
+
+	manager.onError = (url) => {
+		failed.push(url);
+	};
+
+	manager.onLoad = () => {
+		// later loads through the same manager don't bring the overlay back
+		if (complete) return;
+		complete = true;
+		onComplete();
+		if (!failed.length) {
+			root.classList.add('loading-done');
+			return;
+		}
+
+		// the scene is usable with placeholders, so just say which files are missing
+		status.textContent = `${failed.length} ${failed.length === 1 ? 'file' : 'files'} could not be loaded, placeholders are shown instead`;
+		failedList.replaceChildren(...failed.map(url => {
+			const li = document.createElement('li');
+			li.textContent = url;
+			return li;
+		}));
+		failedList.hidden = false;
+		dismiss.hidden = false;
+		root.classList.add('loading-failures');
+	};
+
+	dismiss.addEventListener('click', () => root.classList.add('loading-done'));
+
+	// remove the overlay from the tab order and accessibility tree once it has faded out
+	root.addEventListener('transitionend', () => {
+		if (root.classList.contains('loading-done')) root.hidden = true;
+	});
+}
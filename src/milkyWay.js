@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { galacticToScene } from './coordinates.js';
+import { SKY_RADIUS } from './starfield.js';
+
+// ---------------------
+// milky way backdrop
+// ---------------------
+const FALLBACK_WIDTH = 1024; // size of the procedural panorama drawn when the image can't be loaded
+const FALLBACK_HEIGHT = 512;
+
+// procedural band, angles in degrees
+const DISC_HALF_WIDTH = 12; // galactic latitude where the band falls to 1/e
+const BULGE_LONGITUDE = 25;
+const BULGE_LATITUDE = 10;
+const DUST_LANE_HALF_WIDTH = 2.5;
+
+/**
+ * draw an approximate milky way in galactic equirectangular layout: a glowing band along the
+ * galactic equator, a bulge around the galactic centre and a dark dust lane through both
+ * @returns {Object} the panorama texture
+ */
+function createFallbackPanorama() {
+	const canvas = document.createElement('canvas');
+	canvas.width = FALLBACK_WIDTH;
+	canvas.height = FALLBACK_HEIGHT;
+	const ctx = canvas.getContext('2d');
+	const image = ctx.createImageData(FALLBACK_WIDTH, FALLBACK_HEIGHT);
+
+	for (let y = 0; y < FALLBACK_HEIGHT; y++) {
+		const b = (0.5 - (y + 0.5) / FALLBACK_HEIGHT) * 180;
+		for (let x = 0; x < FALLBACK_WIDTH; x++) {
+			// longitude increases to the left, with the galactic centre in the middle of the image
+			const l = (0.5 - (x + 0.5) / FALLBACK_WIDTH) * 360;
+
+			const disc = Math.exp(-((b / DISC_HALF_WIDTH) ** 2)) * (0.5 + 0.5 * Math.exp(-((l / 90) ** 2)));
+			const bulge = Math.exp(-((l / BULGE_LONGITUDE) ** 2) - (b / BULGE_LATITUDE) ** 2);
+			const dust = 1 - 0.7 * Math.exp(-((b / DUST_LANE_HALF_WIDTH) ** 2)) * Math.exp(-((l / 120) ** 2));
+			// cheap mottling so the band reads as star clouds rather than a smooth gradient
+			const clouds = 0.75 + 0.25 * Math.sin(l * 0.21 + Math.sin(b * 0.9)) * Math.sin(b * 0.7 + l * 0.05);
+			const intensity = Math.min(1, (disc * 0.6 + bulge * 0.8) * dust * clouds);
+
+			const i = (y * FALLBACK_WIDTH + x) * 4;
+			image.data[i] = 255 * intensity;
+			image.data[i + 1] = 240 * intensity * (0.92 + 0.08 * (1 - bulge));
+			image.data[i + 2] = 220 * intensity * (0.85 + 0.15 * (1 - bulge));
+			image.data[i + 3] = 255;
+		}
+	}
+
+	ctx.putImageData(image, 0, 0);
+	return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * create a sky sphere showing a milky way panorama in galactic coordinates (galactic centre in the
+ * middle, longitude increasing to the left, the usual layout for all-sky images)
+ * @param {Object} textureLoader - the shared THREE.TextureLoader
+ * @param {string|null} url - equirectangular panorama, or null for the procedural band, which is also used if it fails to load
+ * @param {number} brightness - initial brightness from 0 to 1
+ * @returns {Object} { object, setBrightness, dispose }; add its object as a child of the starfield so it stays at infinity
+ */
+export function createMilkyWay(textureLoader, url, brightness) {
+	const geometry = new THREE.SphereGeometry(SKY_RADIUS, 64, 32);
+	const material = new THREE.MeshBasicMaterial({
+		side: THREE.BackSide,
+		depthTest: false,
+		depthWrite: false,
+	});
+	if (url) {
+		material.map = textureLoader.load(url, undefined, undefined, () => {
+			material.map.dispose();
+			material.map = createFallbackPanorama();
+			material.needsUpdate = true;
+		});
+	} else {
+		material.map = createFallbackPanorama();
+	}
+
+	// the sphere's u = 0.5 meridian (+x) is the galactic centre, u = 0.25 (+z) is l = 90 and +y the
+	// galactic north pole; that frame is left-handed, so the basis includes a mirror
+	const object = new THREE.Mesh(geometry, material);
+	object.name = 'milky way';
+	object.matrixAutoUpdate = false;
+	object.matrix.makeBasis(galacticToScene(0, 0), galacticToScene(0, 90), galacticToScene(90, 0));
+	object.renderOrder = -2; // behind the stars
+	object.frustumCulled = false;
+
+	const milkyWay = {
+		object,
+
+		/**
+		 * dim or brighten the panorama, kept low by default so the bloom pass doesn't wash it out
+		 * @param {number} value - brightness from 0 to 1
+		 */
+		setBrightness(value) {
+			material.color.setScalar(value);
+			object.visible = value > 0;
+		},
+
+		dispose() {
+			geometry.dispose();
+			material.map.dispose();
+			material.dispose();
+		},
+	};
+
+	milkyWay.setBrightness(brightness);
+	return milkyWay;
+}
@@ -0,0 +1,219 @@
+import { seededRandom } from './random.js';
+
+// ---------------------
+// procedural body textures
+// ---------------------
+const TEXTURE_WIDTH = 512; // equirectangular, twice as wide as it is tall
+const TEXTURE_HEIGHT = 256;
+const NOISE_OCTAVES = 4;
+
+// craters, sizes as fractions of the texture height
+const CRATER_MIN_RADIUS = 0.004;
+const CRATER_MAX_RADIUS = 0.08;
+const CRATER_SIZE_SLOPE = 0.7; // higher makes large craters rarer
+const CRATER_RIM_WIDTH = 0.15; // in crater radii
+
+// icy surfaces
+const LINEA_STEPS = 60;
+const LINEA_STEP = 0.006; // fraction of the texture width covered per step
+const LINEA_WANDER = 0.25; // heading change per step in radians
+
+/**
+ * make a tileable value-noise function over the texture, repeating left to right so the seam
+ * where the map wraps around the sphere doesn't show
+ * @param {Function} random - seeded generator
+ * @param {number} cellsX - noise cells across the width
+ * @param {number} cellsY - noise cells down the height
+ * @returns {Function} (u, v) with both in [0, 1] -> value in [0, 1)
+ */
+function createNoise(random, cellsX, cellsY) {
+	const grid = Float32Array.from({ length: cellsX * (cellsY + 1) }, () => random());
+	const at = (x, y) => grid[y * cellsX + (x % cellsX)];
+	const fade = t => t * t * (3 - 2 * t);
+
+	return (u, v) => {
+		const x = u * cellsX;
+		// warped lookups can stray past the poles
+		const y = Math.min(Math.max(v, 0), 1) * cellsY;
+		const x0 = Math.floor(x);
+		const y0 = Math.min(Math.floor(y), cellsY - 1);
+		const tx = fade(x - x0);
+		const ty = fade(y - y0);
+		const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+		const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+		return top + (bottom - top) * ty;
+	};
+}
+
+/**
+ * layer octaves of value noise, each twice as fine and half as strong as the last
+ * @param {Function} random - seeded generator
+ * @param {number} cellsX - cells across the width of the coarsest octave
+ * @param {number} cellsY - cells down the height of the coarsest octave
+ * @returns {Function} (u, v) -> value in [0, 1)
+ */
+function createFractalNoise(random, cellsX, cellsY) {
+	const octaves = [];
+	for (let i = 0; i < NOISE_OCTAVES; i++) octaves.push(createNoise(random, cellsX << i, cellsY << i));
+	const total = 2 - 2 ** (1 - NOISE_OCTAVES);
+
+	return (u, v) => {
+		let sum = 0;
+		for (let i = 0; i < NOISE_OCTAVES; i++) sum += octaves[i](u, v) / 2 ** i;
+		return sum / total;
+	};
+}
+
+/**
+ * brightness of gas giant cloud bands, wavy where the turbulence pushes them up and down
+ * @param {Function} random - seeded generator
+ * @param {Object} params - { bands, turbulence, contrast }
+ * @returns {Function} (u, v) -> brightness around 1
+ */
+function bandShade(random, { bands = 8, turbulence = 0.5, contrast = 0.25 }) {
+	const warp = createFractalNoise(random, 6, 3);
+	// stretched along the bands so the fine detail streaks with the wind
+	const streaks = createFractalNoise(random, 4, 48);
+	const phase = random() * Math.PI * 2;
+
+	return (u, v) => {
+		const shifted = v + turbulence * 0.08 * (warp(u, v) - 0.5);
+		const band = Math.sin(shifted * bands * Math.PI * 2 + phase) + 0.5 * Math.sin(shifted * bands * 5.3 + phase);
+		return 1 + contrast * (band / 1.5 + (streaks(u, shifted) - 0.5));
+	};
+}
+
+/**
+ * stamp bowl-shaped craters with bright rims into a brightness buffer, stretched toward the poles
+ * the way the equirectangular map stretches them
+ * @param {Function} random - seeded generator
+ * @param {Float32Array} shade - TEXTURE_WIDTH x TEXTURE_HEIGHT brightness, modified in place
+ * @param {number} count - number of craters
+ * @param {number} contrast - depth of the craters
+ */
+function stampCraters(random, shade, count, contrast) {
+	for (let n = 0; n < count; n++) {
+		// uniform over the sphere, not the map, so the poles aren't crowded
+		const latitude = Math.asin(2 * random() - 1);
+		const cx = random() * TEXTURE_WIDTH;
+		const cy = (0.5 - latitude / Math.PI) * TEXTURE_HEIGHT;
+		// power law sizes: many small craters, a few large basins
+		const radius = Math.min(CRATER_MAX_RADIUS, CRATER_MIN_RADIUS * random() ** -CRATER_SIZE_SLOPE) * TEXTURE_HEIGHT;
+		const ry = radius;
+		const rx = Math.min(TEXTURE_WIDTH / 2, radius / Math.max(Math.cos(latitude), 0.1));
+		const reach = 1 + CRATER_RIM_WIDTH * 2;
+
+		const yMin = Math.max(0, Math.floor(cy - ry * reach));
+		const yMax = Math.min(TEXTURE_HEIGHT - 1, Math.ceil(cy + ry * reach));
+		for (let y = yMin; y <= yMax; y++) {
+			for (let x = Math.floor(cx - rx * reach); x <= Math.ceil(cx + rx * reach); x++) {
+				const dx = (x - cx) / rx;
+				const dy = (y - cy) / ry;
+				const d = Math.sqrt(dx * dx + dy * dy);
+				if (d > reach) continue;
+				const floor = d < 1 ? -(1 - d * d) * 0.6 : 0;
+				const rim = Math.exp(-(((d - 1) / CRATER_RIM_WIDTH) ** 2)) * 0.5;
+				// craters wrap around the left and right edges like the sphere does
+				const i = y * TEXTURE_WIDTH + ((x % TEXTURE_WIDTH) + TEXTURE_WIDTH) % TEXTURE_WIDTH;
+				shade[i] += contrast * (floor + rim);
+			}
+		}
+	}
+}
+
+/**
+ * brightness of a smooth icy surface with darker patches of older, dirtier terrain
+ * @param {Function} random - seeded generator
+ * @param {Object} params - { patches, contrast }
+ * @returns {Function} (u, v) -> brightness around 1
+ */
+function iceShade(random, { patches = 4, contrast = 0.25 }) {
+	const regions = createFractalNoise(random, patches, Math.max(1, patches >> 1));
+	const frost = createFractalNoise(random, 16, 8);
+
+	return (u, v) => {
+		const region = regions(u, v);
+		const dark = Math.min(1, Math.max(0, (region - 0.5) / 0.1));
+		return 1 + contrast * (0.3 * (frost(u, v) - 0.5) - dark * dark * (3 - 2 * dark));
+	};
+}
+
+/**
+ * draw long wandering cracks across an icy surface, like Europa's lineae
+ * @param {Function} random - seeded generator
+ * @param {Object} ctx - canvas 2d context to draw into
+ * @param {number} count - number of cracks
+ * @param {number} contrast - darkness of the cracks
+ */
+function drawLineae(random, ctx, count, contrast) {
+	ctx.strokeStyle = `rgba(90, 50, 30, ${Math.min(1, contrast * 2)})`;
+	for (let n = 0; n < count; n++) {
+		ctx.lineWidth = 0.5 + random() * 1.5;
+		let x = random() * TEXTURE_WIDTH;
+		let y = (0.15 + 0.7 * random()) * TEXTURE_HEIGHT;
+		let heading = random() * Math.PI * 2;
+		const points = [[x, y]];
+		for (let i = 0; i < LINEA_STEPS; i++) {
+			heading += (random() - 0.5) * LINEA_WANDER;
+			x += Math.cos(heading) * LINEA_STEP * TEXTURE_WIDTH;
+			y += Math.sin(heading) * LINEA_STEP * TEXTURE_WIDTH;
+			points.push([x, y]);
+		}
+		// draw a copy shifted by the width on either side so cracks crossing the seam continue on the far edge
+		for (const offset of [-TEXTURE_WIDTH, 0, TEXTURE_WIDTH]) {
+			ctx.beginPath();
+			points.forEach(([px, py], i) => (i ? ctx.lineTo(px + offset, py) : ctx.moveTo(px + offset, py)));
+			ctx.stroke();
+		}
+	}
+}
+
+/**
+ * paint an equirectangular surface map for a body that has no texture file
+ * @param {Object} params - procedural parameters from the body data: style is 'bands' (gas giants),
+ * 'craters' (rocky bodies) or 'ice' (icy dwarfs and moons), with seed and the style's own settings
+ * @param {string} color - css color of the body, the average tint of the map
+ * @returns {HTMLCanvasElement} the map
+ */
+export function drawProceduralTexture(params, color) {
+	const canvas = document.createElement('canvas');
+	canvas.width = TEXTURE_WIDTH;
+	canvas.height = TEXTURE_HEIGHT;
+	const ctx = canvas.getContext('2d');
+	const random = seededRandom(params.seed || 1);
+	const contrast = params.contrast ?? 0.25;
+
+	// let the canvas parse the color, so any css color works
+	ctx.fillStyle = color;
+	ctx.fillRect(0, 0, 1, 1);
+	const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+
+	const shade = new Float32Array(TEXTURE_WIDTH * TEXTURE_HEIGHT);
+	let shadeAt;
+	if (params.style === 'bands') shadeAt = bandShade(random, params);
+	else if (params.style === 'ice') shadeAt = iceShade(random, params);
+	else {
+		// rocky ground is mottled before the craters go in
+		const ground = createFractalNoise(random, 8, 4);
+		shadeAt = (u, v) => 1 + contrast * (ground(u, v) - 0.5);
+	}
+	for (let y = 0; y < TEXTURE_HEIGHT; y++) {
+		for (let x = 0; x < TEXTURE_WIDTH; x++) {
+			shade[y * TEXTURE_WIDTH + x] = shadeAt(x / TEXTURE_WIDTH, y / TEXTURE_HEIGHT);
+		}
+	}
+	if (params.style === 'craters') stampCraters(random, shade, params.craters ?? 200, contrast);
+
+	const image = ctx.createImageData(TEXTURE_WIDTH, TEXTURE_HEIGHT);
+	for (let i = 0; i < shade.length; i++) {
+		// the typed array clamps each channel to 0-255
+		image.data[i * 4] = r * shade[i];
+		image.data[i * 4 + 1] = g * shade[i];
+		image.data[i * 4 + 2] = b * shade[i];
+		image.data[i * 4 + 3] = 255;
+	}
+	ctx.putImageData(image, 0, 0);
+
+	if (params.style === 'ice' && params.lineae) drawLineae(random, ctx, params.lineae, contrast);
+	return canvas;
+}
@@ -0,0 +1,19 @@
+// ---------------------
+// seeded random numbers
+// ---------------------
+
+/**
+ * small seeded generator so procedural content is identical on every visit
+ * @param {number} seed - integer seed
+ * @returns {Function} returns a float in [0, 1) on each call
+ */
+export function seededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
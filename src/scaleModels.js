@@ -0,0 +1,89 @@
+// ---------------------
+// distance and size scale models
+// ---------------------
+const KM_PER_AU = 149597870.7;
+
+// linear model factors
+const RADIUS_SCALE = 2e-4; // used to scale body radii
+const DISTANCE_SCALE = 4e-7; // used to scale orbital distances
+const MOON_DISTANCE_SCALE = 2e-5; // moon orbits are spread out so they clear their enlarged parents
+const SUN_SHRINK = 0.02; // keeps the Sun from swallowing the inner planets at RADIUS_SCALE
+
+// true scale, one factor for sizes and distances
+const TRUE_SCALE = 4e-7;
+
+// logarithmic model, distances and sizes grow with log10(1 + km / reference)
+const LOG_DISTANCE_REF_KM = 1e7;
+const LOG_DISTANCE_SCALE = 40;
+const LOG_RADIUS_REF_KM = 1000;
+const LOG_RADIUS_SCALE = 1.5;
+const LOG_MOON_REF_KM = 1e4;
+const LOG_MOON_SCALE = 3;
+
+// square-root model
+const SQRT_DISTANCE_SCALE = 3.3e-3;
+const SQRT_RADIUS_SCALE = 0.016;
+const SQRT_MOON_SCALE = 8e-3;
+const SQRT_SUN_SHRINK = 0.3; // the Sun's flare would otherwise reach past Venus
+
+/**
+ * each model maps body sizes and orbit sizes in km to scene units
+ * radius(data, exaggeration) - body radius for a BODIES entry
+ * distance(km) - semi-major axis of an orbit around the Sun, also used for free points in the scene
+ * moonDistance(data, parentRadius, exaggeration) - semi-major axis of a moon orbit, given the parent's scene radius
+ * exaggerable - whether the size exaggeration slider applies to the model
+ */
+export const SCALE_MODELS = {
+	linear: {
+		label: 'linear',
+		radius: (data) => data.radiusKm * RADIUS_SCALE * (data.type === 'star' ? SUN_SHRINK : 1),
+		distance: (km) => km * DISTANCE_SCALE,
+		// moons are offset from their parent's surface on their own scale
+		moonDistance: (data, parentRadius) => parentRadius + data.distKm * MOON_DISTANCE_SCALE,
+	},
+	log: {
+		label: 'logarithmic',
+		radius: (data) => LOG_RADIUS_SCALE * Math.log10(1 + data.radiusKm / LOG_RADIUS_REF_KM),
+		distance: (km) => LOG_DISTANCE_SCALE * Math.log10(1 + km / LOG_DISTANCE_REF_KM),
+		moonDistance: (data, parentRadius) => parentRadius + LOG_MOON_SCALE * Math.log10(1 + data.distKm / LOG_MOON_REF_KM),
+	},
+	sqrt: {
+		label: 'square root',
+		radius: (data) => SQRT_RADIUS_SCALE * Math.sqrt(data.radiusKm) * (data.type === 'star' ? SQRT_SUN_SHRINK : 1),
+		distance: (km) => SQRT_DISTANCE_SCALE * Math.sqrt(km),
+		moonDistance: (data, parentRadius) => parentRadius + SQRT_MOON_SCALE * Math.sqrt(data.distKm),
+	},
+	// sizes and distances share one factor, so bodies are specks next to their orbits unless exaggerated
+	true: {
+		label: 'true scale',
+		exaggerable: true,
+		// the Sun stays true size, exaggerated it would swallow the inner orbits
+		radius: (data, exaggeration = 1) => data.radiusKm * TRUE_SCALE * (data.type === 'star' ? 1 : exaggeration),
+		distance: (km) => km * TRUE_SCALE,
+		// exaggerated moons keep their true surface-to-surface gap so they stay clear of the parent
+		moonDistance: (data, parentRadius, exaggeration = 1) =>
+			data.distKm * TRUE_SCALE + (parentRadius + data.radiusKm * TRUE_SCALE * exaggeration) * (1 - 1 / exaggeration),
+	},
+};
+
+/**
+ * convert a distance in AU to km
+ * @param {number} au - distance in astronomical units
+ * @returns {number} distance in km
+ */
+export function auToKm(au) {
+	return au * KM_PER_AU;
+}
+
+/**
+ * interpolate between two sizes, geometrically when both are positive so changes that span
+ * orders of magnitude animate evenly
+ * @param {number} a - start value
+ * @param {number} b - end value
+ * @param {number} t - progress from 0 to 1
+ * @returns {number} the interpolated value
+ */
+export function lerpScale(a, b, t) {
+	if (a > 0 && b > 0) return a * Math.pow(b / a, t);
+	return a + (b - a) * t;
+}
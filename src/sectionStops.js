@@ -0,0 +1,38 @@
+// ---------------------
+// section-anchored camera stops
+// ---------------------
+// sections count as in view while they cross this band around the middle of the viewport
+const VIEWPORT_BAND = '-35% 0px -35% 0px';
+
+/**
+ * watch page sections that declare a data-body attribute and report which body should be framed
+ * @param {Iterable} sections - section elements, in document order
+ * @param {Function} onChange - called with the active body id, or null when no stop section is in view
+ * @returns {Object} { disconnect } to stop observing
+ */
+export function createSectionStops(sections, onChange) {
+	const stops = [...sections].filter(el => el.dataset.body);
+	const inView = new Set();
+	let active = null;
+
+	const observer = new IntersectionObserver((entries) => {
+		for (const entry of entries) {
+			if (entry.isIntersecting) inView.add(entry.target);
+			else inView.delete(entry.target);
+		}
+
+		// the first section in document order wins when two share the band
+		const section = stops.find(el => inView.has(el));
+		const body = section ? section.dataset.body : null;
+		if (body !== active) {
+			active = body;
+			onChange(active);
+		}
+	}, { rootMargin: VIEWPORT_BAND });
+
+	stops.forEach(el => observer.observe(el));
+
+	return {
+		disconnect: () => observer.disconnect(),
+	};
+}
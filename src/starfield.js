@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+import { equatorialToScene, galacticToScene } from './coordinates.js';
+import { seededRandom } from './random.js';
+
+// ---------------------
+// catalog starfield
+// ---------------------
+// stars sit on a sphere that travels with the camera, so they never show parallax or fall behind the far plane
+export const SKY_RADIUS = 500;
+
+// point size in css pixels, following the square root of the flux so disc area tracks brightness
+const REFERENCE_MAGNITUDE = 1; // stars of this magnitude are BASE_POINT_SIZE wide
+const BASE_POINT_SIZE = 4;
+const MAX_POINT_SIZE = 8;
+const REFERENCE_FOV = 75; // sizes are exact at this field of view and grow as the camera zooms in
+
+// procedural faint stars below the catalog's limit, with counts rising steeply towards fainter magnitudes
+const FAINT_STAR_COUNT = 30000;
+const FAINT_MIN_MAGNITUDE = 4.5;
+const FAINT_MAX_MAGNITUDE = 8;
+const STAR_COUNT_SLOPE = 0.5; // log10 of the number of stars brighter than m grows by this per magnitude
+const GALACTIC_CONCENTRATION = 2.5; // higher crowds faint stars towards the galactic plane
+const FAINT_STAR_SEED = 1337;
+
+// twinkle as a fraction of brightness, each star flickers at its own rate between these frequencies
+const TWINKLE_AMPLITUDE = 0.2;
+const TWINKLE_MIN_HZ = 0.3;
+const TWINKLE_MAX_HZ = 1.2;
+
+// star color by B-V color index, from hot blue-white to cool orange-red
+const COLOR_INDEX_STOPS = [
+	[-0.4, new THREE.Color(0x9bb0ff)],
+	[0.0, new THREE.Color(0xcad7ff)],
+	[0.6, new THREE.Color(0xfff4ea)],
+	[1.0, new THREE.Color(0xffd2a1)],
+	[1.5, new THREE.Color(0xffb56c)],
+	[2.0, new THREE.Color(0xff9b50)],
+];
+
+const vertexShader = /* glsl */`
+	attribute float size;
+	attribute float twinkleHz;
+	attribute float twinklePhase;
+
+	uniform float time;
+	uniform float pixelRatio;
+	uniform float fovScale;
+	uniform float twinkle;
+
+	varying vec3 vColor;
+	varying float vIntensity;
+
+	#include <common>
+	#include <logdepthbuf_pars_vertex>
+
+	void main() {
+		vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+		gl_Position = projectionMatrix * mvPosition;
+
+		float flicker = 1.0 + twinkle * sin(PI2 * twinkleHz * time + twinklePhase);
+		float pointSize = size * pixelRatio * fovScale;
+
+		// sub-pixel stars stay one pixel wide and dim instead, which keeps them from shimmering
+		gl_PointSize = max(pointSize, 1.0);
+		vIntensity = flicker * min(pointSize, 1.0);
+		vColor = color;
+
+		#include <logdepthbuf_vertex>
+	}
+`;
+
+const fragmentShader = /* glsl */`
+	varying vec3 vColor;
+	varying float vIntensity;
+
+	#include <logdepthbuf_pars_fragment>
+
+	void main() {
+		vec2 p = gl_PointCoord * 2.0 - 1.0;
+		float r2 = dot(p, p);
+		if (r2 > 1.0) discard;
+
+		float falloff = (1.0 - r2) * (1.0 - r2);
+		gl_FragColor = vec4(vColor * vIntensity * falloff, 1.0);
+
+		#include <logdepthbuf_fragment>
+	}
+`;
+
+/**
+ * @param {number} colorIndex - B-V color index
+ * @param {Object} target - THREE.Color to write into
+ * @returns {Object} the target color
+ */
+function starColor(colorIndex, target) {
+	const upper = COLOR_INDEX_STOPS.findIndex(([bv]) => bv >= colorIndex);
+	if (upper <= 0) return target.copy(COLOR_INDEX_STOPS[upper === 0 ? 0 : COLOR_INDEX_STOPS.length - 1][1]);
+	const [bv0, c0] = COLOR_INDEX_STOPS[upper - 1];
+	const [bv1, c1] = COLOR_INDEX_STOPS[upper];
+	return target.lerpColors(c0, c1, (colorIndex - bv0) / (bv1 - bv0));
+}
+
+/**
+ * @param {number} magnitude - apparent visual magnitude
+ * @returns {number} point size in css pixels, below one for faint stars
+ */
+function starSize(magnitude) {
+	return Math.min(BASE_POINT_SIZE * Math.pow(10, -0.2 * (magnitude - REFERENCE_MAGNITUDE)), MAX_POINT_SIZE);
+}
+
+/**
+ * generate faint background stars, denser along the Milky Way
+ * @param {number} count - number of stars
+ * @returns {Array} { direction, magnitude, colorIndex } entries
+ */
+function faintStars(count) {
+	const random = seededRandom(FAINT_STAR_SEED);
+	const low = Math.pow(10, STAR_COUNT_SLOPE * FAINT_MIN_MAGNITUDE);
+	const high = Math.pow(10, STAR_COUNT_SLOPE * FAINT_MAX_MAGNITUDE);
+
+	return Array.from({ length: count }, () => {
+		const v = 2 * random() - 1;
+		const sinB = Math.sign(v) * Math.pow(Math.abs(v), GALACTIC_CONCENTRATION);
+		const direction = galacticToScene(random() * 360, THREE.MathUtils.radToDeg(Math.asin(sinB)));
+		// inverse of the cumulative count 10^(slope * m) between the two magnitude limits
+		const magnitude = Math.log10(low + random() * (high - low)) / STAR_COUNT_SLOPE;
+		// most field stars are sun-like or cooler
+		const colorIndex = THREE.MathUtils.clamp(0.6 + (random() + random() + random() - 1.5) * 0.8, -0.3, 1.8);
+		return { direction, magnitude, colorIndex };
+	});
+}
+
+/**
+ * create a background of catalog stars at their real sky positions, filled out with procedural
+ * faint stars, drawn as a single points object
+ * @param {Array} stars - [name, raHours, decDeg, magnitude, colorIndex] entries, see data/stars.js
+ * @param {number} pixelRatio - renderer pixel ratio, point sizes are given in css pixels
+ * @returns {Object} { object, update, dispose }
+ */
+export function createStarfield(stars, pixelRatio = 1) {
+	const entries = [
+		...stars.map(([, raHours, decDeg, magnitude, colorIndex]) =>
+			({ direction: equatorialToScene(raHours, decDeg), magnitude, colorIndex })),
+		...faintStars(FAINT_STAR_COUNT),
+	];
+
+	const positions = new Float32Array(entries.length * 3);
+	const colors = new Float32Array(entries.length * 3);
+	const sizes = new Float32Array(entries.length);
+	const twinkleHz = new Float32Array(entries.length);
+	const twinklePhase = new Float32Array(entries.length);
+	const random = seededRandom(FAINT_STAR_SEED + 1);
+	const color = new THREE.Color();
+
+	entries.forEach(({ direction, magnitude, colorIndex }, i) => {
+		direction.multiplyScalar(SKY_RADIUS).toArray(positions, i * 3);
+		starColor(colorIndex, color).toArray(colors, i * 3);
+		sizes[i] = starSize(magnitude);
+		twinkleHz[i] = THREE.MathUtils.lerp(TWINKLE_MIN_HZ, TWINKLE_MAX_HZ, random());
+		twinklePhase[i] = random() * Math.PI * 2;
+	});
+
+	const geometry = new THREE.BufferGeometry();
+	geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+	geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+	geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+	geometry.setAttribute('twinkleHz', new THREE.BufferAttribute(twinkleHz, 1));
+	geometry.setAttribute('twinklePhase', new THREE.BufferAttribute(twinklePhase, 1));
+
+	// additive and opaque-pass, drawn first without depth so every body and orbit paints over it
+	const material = new THREE.ShaderMaterial({
+		uniforms: {
+			time: { value: 0 },
+			pixelRatio: { value: pixelRatio },
+			fovScale: { value: 1 },
+			twinkle: { value: TWINKLE_AMPLITUDE },
+		},
+		vertexShader,
+		fragmentShader,
+		vertexColors: true,
+		blending: THREE.AdditiveBlending,
+		depthTest: false,
+		depthWrite: false,
+	});
+
+	const object = new THREE.Points(geometry, material);
+	object.name = 'starfield';
+	object.renderOrder = -1;
+	object.frustumCulled = false; // the sphere always surrounds the camera
+
+	const referenceTan = Math.tan(THREE.MathUtils.degToRad(REFERENCE_FOV) / 2);
+
+	return {
+		object,
+
+		/**
+		 * keep the sky centred on the camera so the stars stay at infinity, and advance the twinkle
+		 * @param {Object} camera - the camera the scene is rendered with
+		 * @param {number} time - seconds since the page loaded
+		 */
+		update(camera, time) {
+			camera.getWorldPosition(object.position);
+			material.uniforms.time.value = time;
+			material.uniforms.fovScale.value = referenceTan / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+		},
+
+		dispose() {
+			geometry.dispose();
+			material.dispose();
+		},
+	};
+}
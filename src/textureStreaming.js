@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+
+// ---------------------
+// texture resolution streaming
+// ---------------------
+// an equirectangular map spreads half its width across a body's disc, and more densely near the centre;
+// this many texels per pixel of disc diameter keeps the centre of the disc at about one texel per pixel
+const TEXELS_PER_PIXEL = Math.PI;
+// a loaded level is only released once a level this many times smaller would be enough,
+// so a body hovering near a threshold doesn't keep reloading
+const RELEASE_MARGIN = 2;
+
+/**
+ * @param {Object} data - body entry from BODIES
+ * @returns {Array} { width, path } levels from smallest to the full-resolution texture, whose width is Infinity
+ */
+export function textureLevels(data) {
+	const levels = Object.entries(data.textureLevels || {})
+		.map(([width, path]) => ({ width: Number(width), path }))
+		.sort((a, b) => a.width - b.width);
+	levels.push({ width: Infinity, path: data.texture });
+	return levels;
+}
+
+/**
+ * create a streamer that swaps body maps for higher-resolution levels as bodies grow on screen,
+ * such as after a click-to-focus, and drops them again when they shrink
+ * @param {Object} loader - a THREE.TextureLoader for the streamed levels, separate from the startup loading manager
+ * @returns {Object} { add, update, dispose }
+ */
+export function createTextureStreamer(loader) {
+	const streams = [];
+	const world = new THREE.Vector3();
+
+	/**
+	 * @param {Array} levels - levels from textureLevels
+	 * @param {number} neededWidth - texture width wanted for the body's size on screen
+	 * @returns {number} index of the smallest level at least that wide
+	 */
+	function levelFor(levels, neededWidth) {
+		return levels.findIndex(level => level.width >= neededWidth);
+	}
+
+	/**
+	 * show a level on the body, releasing the level it replaces unless it's the startup level,
+	 * so at most one streamed level per body stays in memory
+	 * @param {Object} stream - per-body streaming state
+	 * @param {number} index - level to show
+	 */
+	function show(stream, index) {
+		const previous = stream.current;
+		stream.obj.material.map = stream.textures[index];
+		stream.current = index;
+		if (previous > 0) {
+			stream.textures[previous].dispose();
+			stream.textures[previous] = null;
+		}
+	}
+
+	/**
+	 * @param {Object} stream - per-body streaming state
+	 * @param {number} index - level to load and show once ready
+	 */
+	function load(stream, index) {
+		stream.loading = index;
+		stream.textures[index] = loader.load(stream.levels[index].path, () => {
+			stream.loading = -1;
+			// the body may have changed size while the image was loading
+			if (stream.wanted === index) show(stream, index);
+			else {
+				stream.textures[index].dispose();
+				stream.textures[index] = null;
+			}
+		}, undefined, () => {
+			// missing levels are skipped, the body keeps the best level it has
+			stream.loading = -1;
+			stream.textures[index] = null;
+			stream.levels[index].missing = true;
+		});
+	}
+
+	return {
+		/**
+		 * stream textures for a body whose material already shows its smallest level
+		 * @param {Object} obj - body object from bodyObjects
+		 */
+		add(obj) {
+			const levels = textureLevels(obj.data);
+			if (levels.length < 2) return;
+			const textures = levels.map(() => null);
+			textures[0] = obj.material.map;
+			streams.push({ obj, levels, textures, current: 0, loading: -1, wanted: 0 });
+		},
+
+		/**
+		 * pick the level each body needs for its current size on screen (per-frame)
+		 * @param {Object} camera - the camera the scene is rendered with
+		 * @param {number} viewportHeight - viewport height in device pixels
+		 */
+		update(camera, viewportHeight) {
+			const focalPx = viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+
+			for (const stream of streams) {
+				stream.obj.body.getWorldPosition(world);
+				const diameterPx = 2 * stream.obj.radius / world.distanceTo(camera.position) * focalPx;
+				const neededWidth = diameterPx * TEXELS_PER_PIXEL;
+
+				let wanted = levelFor(stream.levels, neededWidth);
+				// hold on to the current level until one RELEASE_MARGIN times smaller would do
+				if (wanted < stream.current) wanted = Math.min(stream.current, levelFor(stream.levels, neededWidth * RELEASE_MARGIN));
+				// step down past levels whose files are missing
+				while (wanted > 0 && stream.levels[wanted].missing) wanted--;
+				stream.wanted = wanted;
+
+				if (wanted === stream.current || stream.loading !== -1) continue;
+				if (stream.textures[wanted]) show(stream, wanted);
+				else load(stream, wanted);
+			}
+		},
+
+		dispose() {
+			for (const stream of streams) {
+				stream.textures.forEach((texture, i) => {
+					if (i > 0 && texture) texture.dispose();
+				});
+			}
+		},
+	};
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { drawProceduralTexture } from './proceduralTextures.js';
+
+// ---------------------
+// texture manifest
+// ---------------------
+const PLACEHOLDER_WIDTH = 256;
+const PLACEHOLDER_HEIGHT = 128;
+const PLACEHOLDER_BANDS = 9; // faint latitude bands so a placeholder sphere still shows its spin and tilt
+const PLACEHOLDER_BAND_CONTRAST = 0.08;
+
+/**
+ * draw a flat placeholder in a body's color with a few soft latitude bands
+ * @param {string} color - css color of the body
+ * @param {number} bands - number of latitude bands, 0 for a plain fill
+ * @returns {HTMLCanvasElement} the placeholder image
+ */
+function drawPlaceholder(color, bands) {
+	const canvas = document.createElement('canvas');
+	canvas.width = PLACEHOLDER_WIDTH;
+	canvas.height = PLACEHOLDER_HEIGHT;
+	const ctx = canvas.getContext('2d');
+	ctx.fillStyle = color;
+	ctx.fillRect(0, 0, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT);
+
+	const bandHeight = PLACEHOLDER_HEIGHT / bands;
+	for (let i = 0; i < bands; i++) {
+		// alternate lighter and darker bands
+		const shade = i % 2 ? 255 : 0;
+		ctx.fillStyle = `rgba(${shade}, ${shade}, ${shade}, ${PLACEHOLDER_BAND_CONTRAST})`;
+		ctx.fillRect(0, i * bandHeight, PLACEHOLDER_WIDTH, bandHeight);
+	}
+	return canvas;
+}
+
+/**
+ * create a manifest that loads each texture path once and swaps in a procedural map or a tinted
+ * placeholder when the image fails to load, so a missing file never leaves a body black
+ * @param {Object} loader - the shared THREE.TextureLoader
+ * @returns {Object} { load, dispose }
+ */
+export function createTextureManifest(loader) {
+	const textures = new Map(); // path, or placeholder color, -> texture
+
+	return {
+		/**
+		 * @param {string|null} path - image path from the body data, or null to draw the fallback directly
+		 * @param {string} color - css color used for the placeholder
+		 * @param {number} bands - latitude bands on the placeholder, 0 for masks and other maps that need a plain fill
+		 * @param {Object|null} procedural - procedural texture parameters from the body data, drawn instead of the placeholder
+		 * @returns {Object} the texture; materials can use it right away since a failed load
+		 * replaces its image in place
+		 */
+		load(path, color, bands = PLACEHOLDER_BANDS, procedural = null) {
+			// without a file, bodies of the same color share a placeholder but procedural maps are drawn per body
+			const key = path || (procedural ? `procedural ${JSON.stringify(procedural)} ${color}` : `placeholder ${color} ${bands}`);
+			if (textures.has(key)) return textures.get(key);
+
+			const fallback = () => (procedural ? drawProceduralTexture(procedural, color) : drawPlaceholder(color, bands));
+			let texture;
+			if (path) {
+				texture = loader.load(path, undefined, undefined, () => {
+					texture.image = fallback();
+					texture.needsUpdate = true;
+				});
+			} else {
+				texture = new THREE.CanvasTexture(fallback());
+			}
+			textures.set(key, texture);
+			return texture;
+		},
+
+		dispose() {
+			textures.forEach(texture => texture.dispose());
+			textures.clear();
+		},
+	};
+}
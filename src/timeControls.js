@@ -0,0 +1,94 @@
+// ---------------------
+// on-page simulation clock controls
+// ---------------------
+
+// selectable clock rates in simulated days per real second, stepping through zero reverses time
+export const SPEED_STEPS = [-365, -90, -30, -7, -1, -0.1, 0.1, 1, 7, 30, 90, 365];
+
+/**
+ * format a clock rate for display
+ * @param {number} rate - simulated days per real second
+ * @returns {string} the formatted rate, e.g. "7 d/s" or "-1 yr/s"
+ */
+function formatRate(rate) {
+	if (Math.abs(rate) >= 365) return `${rate / 365} yr/s`;
+	return `${rate} d/s`;
+}
+
+/**
+ * format a date as YYYY-MM-DD in UTC, the format used by date inputs
+ * @param {Date} date - the date to format
+ * @returns {string} the formatted date
+ */
+function formatDate(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+/**
+ * wire the time control strip in the page to a simulation clock
+ * @param {Object} clock - clock created by createSimulationClock
+ * @param {HTMLElement} root - element containing the control strip markup
+ * @returns {Object} { update } to refresh the date readout once per frame
+ */
+export function createTimeControls(clock, root) {
+	const playButton = root.querySelector('[data-action="play"]');
+	const slowerButton = root.querySelector('[data-action="slower"]');
+	const fasterButton = root.querySelector('[data-action="faster"]');
+	const nowButton = root.querySelector('[data-action="now"]');
+	const rateLabel = root.querySelector('.time-rate');
+	const dateInput = root.querySelector('.time-date');
+	const dateForm = root.querySelector('form');
+
+	// start from the step closest to the clock's initial rate
+	let stepIndex = SPEED_STEPS.reduce((best, rate, i) =>
+		Math.abs(rate - clock.rate) < Math.abs(SPEED_STEPS[best] - clock.rate) ? i : best, 0);
+
+	// the date picker offers the same range the clock is limited to
+	if (Number.isFinite(clock.min)) dateInput.min = formatDate(new Date(clock.min));
+	if (Number.isFinite(clock.max)) dateInput.max = formatDate(new Date(clock.max));
+
+	let shownDate = '';
+
+	const render = () => {
+		playButton.textContent = clock.paused ? '▶' : '❚❚';
+		playButton.setAttribute('aria-label', clock.paused ? 'play' : 'pause');
+		rateLabel.textContent = formatRate(clock.rate);
+		slowerButton.disabled = stepIndex === 0;
+		fasterButton.disabled = stepIndex === SPEED_STEPS.length - 1;
+	};
+
+	const stepRate = (delta) => {
+		stepIndex = Math.min(SPEED_STEPS.length - 1, Math.max(0, stepIndex + delta));
+		clock.setRate(SPEED_STEPS[stepIndex]);
+	};
+
+	playButton.addEventListener('click', () => clock.setPaused(!clock.paused));
+	slowerButton.addEventListener('click', () => stepRate(-1));
+	fasterButton.addEventListener('click', () => stepRate(1));
+	nowButton.addEventListener('click', () => clock.setDate(Date.now()));
+
+	dateForm.addEventListener('submit', (e) => {
+		e.preventDefault();
+		// date inputs are interpreted as UTC midnight to match the readout
+		const ms = Date.parse(`${dateInput.value}T00:00:00Z`);
+		if (!Number.isNaN(ms)) clock.setDate(ms);
+	});
+
+	clock.onChange(render);
+	render();
+
+	return {
+		update() {
+			// don't overwrite the field while the visitor is typing a date into it
+			if (document.activeElement === dateInput) {
+				shownDate = '';
+				return;
+			}
+			const text = formatDate(clock.date());
+			if (text !== shownDate) {
+				dateInput.value = text;
+				shownDate = text;
+			}
+		},
+	};
+}